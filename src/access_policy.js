@@ -0,0 +1,215 @@
+// Relation and function access policies
+// ACCESS_POLICY_FILE lists which tables, views and functions each caller may
+// use:
+//   { "rules": [
+//       { "access": "deny", "relations": ["pg_catalog.*", "information_schema.*"], "exempt_roles": ["admin"] },
+//       { "access": "deny", "functions": ["pg_catalog.pg_read_*", "*.dblink*"] },
+//       { "access": "allow", "relations": ["app.*", "public.*"], "roles": ["analyst"] } ] }
+// Names are "schema.name", each part an exact name or a pattern with *. Rules
+// cover callers as in masking.js (roles, principals, exempt_roles,
+// exempt_principals). For a caller, an object is refused when a deny rule
+// lists it, or when allow rules list objects of its kind and none of them
+// lists it. Every relation and function a query names is resolved through
+// the search_path and checked before the query runs; introspection, the
+// spatial tools, resources and prompts only show what the caller may read.
+// Views are checked by their own name, not the tables beneath them.
+
+import * as fs from "fs";
+import { withReadOnlyTransaction } from "./executor.js";
+import { walkAst } from "./sql_guard.js";
+import { ForbiddenError, ruleAppliesTo } from "./auth.js";
+
+const ACCESS = ['allow', 'deny'];
+const KINDS = ['relations', 'functions'];
+const PRINCIPAL_LISTS = ['roles', 'principals', 'exempt_roles', 'exempt_principals'];
+
+function namePart(part) {
+  return new RegExp(`^${part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+// A "schema.name" pattern as { schema, name } regexes plus whether it covers
+// a whole schema
+function namePattern(pattern, where) {
+  const parts = typeof pattern === 'string' ? pattern.split('.') : [];
+  if (parts.length !== 2 || parts.some(part => part === '')) {
+    throw new Error(`${where}: ${JSON.stringify(pattern)} is not "schema.name"`);
+  }
+  return { schema: namePart(parts[0]), name: namePart(parts[1]), wholeSchema: parts[1] === '*' };
+}
+
+function parseRule(rule, i, file) {
+  const where = `${file}: rules[${i}]`;
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+  if (!ACCESS.includes(rule.access)) {
+    throw new Error(`${where}: access must be "allow" or "deny"`);
+  }
+  if (!KINDS.some(kind => rule[kind] !== undefined)) {
+    throw new Error(`${where}: needs relations or functions`);
+  }
+  for (const list of [...KINDS, ...PRINCIPAL_LISTS]) {
+    if (rule[list] !== undefined && (!Array.isArray(rule[list]) || !rule[list].every(item => typeof item === 'string'))) {
+      throw new Error(`${where}: ${list} must be a list of names`);
+    }
+  }
+  return {
+    ...rule,
+    patterns: Object.fromEntries(KINDS.map(kind => [kind, (rule[kind] ?? []).map(pattern => namePattern(pattern, where))])),
+  };
+}
+
+// A missing or broken policy stops the server rather than opening everything up
+function loadPolicy() {
+  const file = process.env.ACCESS_POLICY_FILE;
+  if (!file) {
+    return [];
+  }
+  const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(policy.rules)) {
+    throw new Error(`${file}: "rules" must be a list`);
+  }
+  return policy.rules.map((rule, i) => parseRule(rule, i, file));
+}
+
+const rules = loadPolicy();
+
+export function accessPolicyEnabled() {
+  return rules.length > 0;
+}
+
+function matchesName(pattern, schema, name) {
+  return pattern.schema.test(schema) && pattern.name.test(name);
+}
+
+// The rules of kind that cover principal, split by access
+function rulesFor(principal, kind) {
+  const applicable = rules.filter(rule => rule.patterns[kind].length > 0 && ruleAppliesTo(rule, principal));
+  return {
+    allow: applicable.filter(rule => rule.access === 'allow'),
+    deny: applicable.filter(rule => rule.access === 'deny'),
+  };
+}
+
+function allowed(principal, kind, schema, name) {
+  const { allow, deny } = rulesFor(principal, kind);
+  if (deny.some(rule => rule.patterns[kind].some(pattern => matchesName(pattern, schema, name)))) {
+    return false;
+  }
+  return allow.length === 0 || allow.some(rule => rule.patterns[kind].some(pattern => matchesName(pattern, schema, name)));
+}
+
+export function relationAllowed(principal, schema, name) {
+  return allowed(principal, 'relations', schema, name);
+}
+
+// Whether any relation of schema could be allowed, for list_schemas
+export function schemaVisible(principal, schema) {
+  const { allow, deny } = rulesFor(principal, 'relations');
+  if (deny.some(rule => rule.patterns.relations.some(pattern => pattern.wholeSchema && pattern.schema.test(schema)))) {
+    return false;
+  }
+  return allow.length === 0 || allow.some(rule => rule.patterns.relations.some(pattern => pattern.schema.test(schema)));
+}
+
+function denied(kind, schema, name) {
+  const object = `${schema}.${name}`;
+  const noun = kind === 'relations' ? 'relation' : 'function';
+  return new ForbiddenError(`Access to ${noun} ${object} is not allowed`, { kind: noun, object });
+}
+
+export function assertRelationAllowed(principal, schema, name) {
+  if (!relationAllowed(principal, schema, name)) {
+    throw denied('relations', schema, name);
+  }
+}
+
+// Like walkAst, but also passes visit the CTE names in scope at each node. A
+// WITH clause names its CTEs for its own SelectStmt and what lies beneath it;
+// each CTE sees the ones before it, or all of them when RECURSIVE.
+function walkWithCtes(node, scope, visit) {
+  if (Array.isArray(node)) {
+    node.forEach(child => walkWithCtes(child, scope, visit));
+    return;
+  }
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (!value || typeof value !== 'object') {
+      continue;
+    }
+    if (/^[A-Z]/.test(key) && !Array.isArray(value)) {
+      visit(key, value, scope);
+    }
+    if (key === 'SelectStmt' && value.withClause) {
+      const { ctes = [], recursive } = value.withClause;
+      const names = ctes.map(cte => cte.CommonTableExpr?.ctename);
+      ctes.forEach((cte, i) =>
+        walkWithCtes(cte, new Set([...scope, ...names.slice(0, recursive ? names.length : i)]), visit));
+      walkWithCtes({ ...value, withClause: null }, new Set([...scope, ...names]), visit);
+    } else {
+      walkWithCtes(value, scope, visit);
+    }
+  }
+}
+
+// Relations and functions a statement names, as { schema, name } with schema
+// null when unqualified. Unqualified references to a CTE in scope are left out.
+function referencedObjects(ast) {
+  const relations = [];
+  const functions = [];
+  walkWithCtes(ast, new Set(), (type, node, cteNames) => {
+    if (type === 'RangeVar' && node.relname) {
+      if (node.schemaname || !cteNames.has(node.relname)) {
+        relations.push({ schema: node.schemaname ?? null, name: node.relname });
+      }
+    } else if (type === 'FuncCall') {
+      const parts = (node.funcname || []).map(part => part.String?.sval);
+      functions.push({ schema: parts.length > 1 ? parts[parts.length - 2] : null, name: parts[parts.length - 1] });
+    }
+  });
+  return { relations, functions: functions.filter(fn => fn.name) };
+}
+
+// Schemas of unqualified names, as the search_path resolves them. Names that
+// resolve to nothing are left for the query itself to fail on.
+async function resolveSchemas(db, relations, functions) {
+  const result = await db.query(`
+    SELECT 'relations' AS kind, name, n.nspname AS schema
+      FROM unnest($1::text[]) AS name
+      JOIN pg_class c ON c.oid = to_regclass(quote_ident(name))
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+    UNION ALL
+    (SELECT DISTINCT ON (p.proname) 'functions', p.proname, n.nspname
+       FROM pg_proc p
+       JOIN pg_namespace n ON n.oid = p.pronamespace
+       JOIN unnest(current_schemas(true)) WITH ORDINALITY AS s(nspname, position) ON s.nspname = n.nspname
+      WHERE p.proname = ANY($2::text[])
+      ORDER BY p.proname, s.position)
+  `, [relations, functions]);
+  return new Map(result.rows.map(row => [`${row.kind}:${row.name}`, row.schema]));
+}
+
+// Throws ForbiddenError naming the first relation or function of the parsed
+// statement that principal may not use
+export async function assertSqlAllowed(pool, ast, principal) {
+  if (!accessPolicyEnabled()) {
+    return;
+  }
+  const objects = referencedObjects(ast);
+  const unqualified = kind => [...new Set(objects[kind].filter(item => item.schema === null).map(item => item.name))];
+  let schemas = new Map();
+  if (unqualified('relations').length > 0 || unqualified('functions').length > 0) {
+    schemas = await withReadOnlyTransaction(pool, {}, client =>
+      resolveSchemas(client, unqualified('relations'), unqualified('functions')));
+  }
+  for (const kind of KINDS) {
+    for (const { schema, name } of objects[kind]) {
+      const resolved = schema ?? schemas.get(`${kind}:${name}`);
+      if (resolved !== undefined && !allowed(principal, kind, resolved, name)) {
+        throw denied(kind, resolved, name);
+      }
+    }
+  }
+}
@@ -0,0 +1,308 @@
+// Audit trail of tools/call requests
+// One JSON line per call is appended to AUDIT_LOG_DIR/audit.jsonl (default:
+// audit/ next to the server). The file is rotated to audit-<timestamp>.jsonl
+// when it reaches AUDIT_LOG_MAX_BYTES or a new UTC day starts, and only the
+// newest AUDIT_LOG_MAX_FILES rotated files are kept. Entries hold the caller
+// (principal, session, client address), the tool and its arguments, the SQL
+// normalized with constants replaced by $n, duration, row count and outcome.
+// AUDIT_LOG=false turns the trail off. The audit_search tool reads it back
+// for principals with the AUDIT_ADMIN_ROLE role.
+
+import * as fs from "fs";
+import * as path from "path";
+import { fileURLToPath } from "url";
+import { normalize } from "libpg-query";
+import { envInt } from "./executor.js";
+import { RpcError, InvalidParamsError } from "./errors.js";
+import { ForbiddenError } from "./auth.js";
+import { log, logContext } from "./logger.js";
+
+const CURRENT_FILE = 'audit.jsonl';
+const ROTATED_FILE = /^audit-[0-9TZ-]+\.jsonl$/;
+const SEARCH_DEFAULT_LIMIT = 50;
+const SEARCH_MAX_LIMIT = 500;
+
+export const auditSettings = {
+  enabled: process.env.AUDIT_LOG !== 'false',
+  dir: process.env.AUDIT_LOG_DIR || fileURLToPath(new URL('../audit', import.meta.url)),
+  maxBytes: envInt('AUDIT_LOG_MAX_BYTES', 10 * 1024 * 1024),
+  maxFiles: envInt('AUDIT_LOG_MAX_FILES', 10),
+  adminRole: process.env.AUDIT_ADMIN_ROLE || 'admin',
+};
+
+// State of the file being appended to: its size and UTC day
+let current = null;
+
+// Address of the HTTP client, for the context handed to the core
+export function clientInfo(req) {
+  return {
+    ip: req.socket?.remoteAddress ?? null,
+    forwarded_for: req.headers['x-forwarded-for'] ?? null,
+  };
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function openCurrent() {
+  fs.mkdirSync(auditSettings.dir, { recursive: true, mode: 0o750 });
+  const file = path.join(auditSettings.dir, CURRENT_FILE);
+  let stat = null;
+  try {
+    stat = fs.statSync(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  current = { file, size: stat ? stat.size : 0, day: utcDay(stat ? stat.mtimeMs : Date.now()) };
+}
+
+function rotatedFiles() {
+  return fs.readdirSync(auditSettings.dir).filter(file => ROTATED_FILE.test(file)).sort();
+}
+
+function rotate() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  fs.renameSync(current.file, path.join(auditSettings.dir, `audit-${stamp}.jsonl`));
+  const rotated = rotatedFiles();
+  for (const file of rotated.slice(0, Math.max(0, rotated.length - auditSettings.maxFiles))) {
+    fs.unlinkSync(path.join(auditSettings.dir, file));
+  }
+  current = { file: current.file, size: 0, day: utcDay(Date.now()) };
+}
+
+// Appends one entry. A failing audit write is logged but does not fail the call.
+export function writeAuditEntry(entry) {
+  if (!auditSettings.enabled) {
+    return;
+  }
+  try {
+    if (!current) {
+      openCurrent();
+    }
+    const line = JSON.stringify(entry) + '\n';
+    if (current.size > 0 && (current.size + Buffer.byteLength(line) > auditSettings.maxBytes || current.day !== utcDay(Date.now()))) {
+      rotate();
+    }
+    fs.appendFileSync(current.file, line, { mode: 0o640 });
+    current.size += Buffer.byteLength(line);
+  } catch (error) {
+    log.error('Failed to write audit log entry', { error });
+    current = null;
+  }
+}
+
+// SQL with constants replaced by $n placeholders; whitespace-collapsed text
+// when it does not parse
+export async function normalizeSql(sql) {
+  if (typeof sql !== 'string') {
+    return null;
+  }
+  try {
+    return await normalize(sql);
+  } catch {
+    return sql.replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Name of the error class reported in audit entries and metrics
+export function errorClass(error) {
+  if (error instanceof RpcError) {
+    return error.name;
+  }
+  // pg errors carry their SQLSTATE in code, logged next to the class
+  return typeof error?.code === 'string' ? 'DatabaseError' : (error?.name || 'Error');
+}
+
+// ok, rejected (invalid arguments, SQL refused, not allowed) or error
+function outcomeOf(error, result) {
+  if (error) {
+    return error instanceof ForbiddenError || error.code === -32602 ? 'rejected' : 'error';
+  }
+  return result?.isError ? 'error' : 'ok';
+}
+
+// Starts the audit record of one tools/call. Tool handlers fill in what they
+// know (audit.sql, audit.rowCount, audit.error) and finishAudit writes it.
+export function startAudit(name, args, context) {
+  return {
+    started: Date.now(),
+    requestId: logContext().request_id ?? null,
+    tool: name,
+    args,
+    context,
+    sql: null,
+    rowCount: null,
+    error: null,
+  };
+}
+
+// Writes the entry for a finished call, given the tool result or the error
+// the call failed with
+export async function finishAudit(audit, { result, error }) {
+  if (!auditSettings.enabled) {
+    return;
+  }
+  const durationMs = Date.now() - audit.started;
+  const { sql, ...args } = audit.args ?? {};
+  const outcome = outcomeOf(error, result);
+  const failure = error ?? audit.error;
+  writeAuditEntry({
+    timestamp: new Date(audit.started).toISOString(),
+    principal: audit.context.principal?.id ?? null,
+    session_id: audit.context.sessionId ?? null,
+    request_id: audit.requestId,
+    client_ip: audit.context.client?.ip ?? null,
+    ...(audit.context.client?.forwarded_for ? { forwarded_for: audit.context.client.forwarded_for } : {}),
+    tool: audit.tool,
+    database: args.database ?? null,
+    sql: await normalizeSql(audit.sql ?? sql),
+    arguments: args,
+    duration_ms: durationMs,
+    row_count: audit.rowCount,
+    outcome,
+    ...(outcome !== 'ok' ? {
+      error_class: failure ? errorClass(failure) : 'ToolError',
+      ...(typeof failure?.code === 'string' ? { sqlstate: failure.code } : {}),
+      error: failure?.message ?? result?.content?.[0]?.text ?? null,
+    } : {}),
+  });
+}
+
+export const auditSearchTool = {
+  name: "audit_search",
+  description: `Search the tools/call audit log, newest entries first (requires the "${auditSettings.adminRole}" role)`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      since: {
+        type: "string",
+        description: "Only entries at or after this ISO 8601 time"
+      },
+      until: {
+        type: "string",
+        description: "Only entries before this ISO 8601 time"
+      },
+      principal: {
+        type: "string",
+        description: "Only calls by this principal"
+      },
+      session_id: {
+        type: "string",
+        description: "Only calls from this MCP session"
+      },
+      tool: {
+        type: "string",
+        description: "Only calls of this tool"
+      },
+      outcome: {
+        type: "string",
+        enum: ["ok", "error", "rejected"],
+        description: "Only calls with this outcome"
+      },
+      text: {
+        type: "string",
+        description: "Only entries whose normalized SQL contains this text (case-insensitive)"
+      },
+      limit: {
+        type: "integer",
+        description: `Maximum entries to return (default ${SEARCH_DEFAULT_LIMIT}, cap ${SEARCH_MAX_LIMIT})`
+      },
+    },
+  },
+};
+
+function parseTime(value, argument) {
+  if (value === undefined) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new InvalidParamsError(`${argument} must be an ISO 8601 time`, { argument });
+  }
+  return time;
+}
+
+function matcher(args) {
+  const since = parseTime(args.since, 'since');
+  const until = parseTime(args.until, 'until');
+  const text = args.text?.toLowerCase();
+  return entry => {
+    const time = Date.parse(entry.timestamp);
+    return (since === null || time >= since) &&
+      (until === null || time < until) &&
+      (args.principal === undefined || entry.principal === args.principal) &&
+      (args.session_id === undefined || entry.session_id === args.session_id) &&
+      (args.tool === undefined || entry.tool === args.tool) &&
+      (args.outcome === undefined || entry.outcome === args.outcome) &&
+      (text === undefined || (entry.sql ?? '').toLowerCase().includes(text));
+  };
+}
+
+// Entries newest first, reading the current file and then the rotated ones
+export function searchAudit(args = {}) {
+  if (args.limit !== undefined && (!Number.isInteger(args.limit) || args.limit <= 0)) {
+    throw new InvalidParamsError('limit must be a positive integer', { argument: 'limit' });
+  }
+  const limit = Math.min(args.limit ?? SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT);
+  const matches = matcher(args);
+
+  let files;
+  try {
+    files = [CURRENT_FILE, ...rotatedFiles().reverse()];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { entries: [], truncated: false };
+    }
+    throw error;
+  }
+
+  const entries = [];
+  for (const file of files) {
+    let lines;
+    try {
+      lines = fs.readFileSync(path.join(auditSettings.dir, file), 'utf8').split('\n');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw error;
+    }
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i]) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        continue;
+      }
+      if (matches(entry)) {
+        if (entries.length === limit) {
+          return { entries, truncated: true };
+        }
+        entries.push(entry);
+      }
+    }
+  }
+  return { entries, truncated: false };
+}
+
+export function callAuditSearchTool(args, { principal }) {
+  if (!principal?.roles?.includes(auditSettings.adminRole)) {
+    throw new ForbiddenError(`audit_search requires the "${auditSettings.adminRole}" role`, { role: auditSettings.adminRole });
+  }
+  if (!auditSettings.enabled) {
+    return {
+      content: [{ type: "text", text: "The audit log is disabled (AUDIT_LOG=false)" }],
+      isError: true,
+    };
+  }
+  return {
+    content: [{ type: "text", text: JSON.stringify(searchAudit(args), null, 2) }],
+    isError: false,
+  };
+}
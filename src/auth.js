@@ -0,0 +1,260 @@
+// Authentication for /mcp, /sse and /sse/message
+// Credentials are read from "Authorization: Bearer <token>" or "X-API-Key".
+// Each registered authenticator gets the token and returns a principal
+// ({ id, type, roles, claims }) or null if the token is not its kind. Built in:
+//   - static API keys from MCP_API_KEYS ("principal:key,...") and/or
+//     MCP_API_KEYS_FILE ({"keys":[{"principal","key"|"key_sha256","roles"}]})
+//   - HMAC-signed JWTs (HS256/384/512) verified against JWT_SECRET and/or the
+//     "oct" keys of a local JWKS file (JWT_JWKS_FILE), with optional
+//     JWT_ISSUER / JWT_AUDIENCE checks
+// With nothing configured authentication is off and every request runs as
+// the anonymous principal.
+
+import * as fs from "fs";
+import { createHash, createHmac, timingSafeEqual } from "crypto";
+import { RpcError } from "./errors.js";
+import { log } from "./logger.js";
+
+export class AuthenticationError extends RpcError {
+  constructor(message) {
+    super(-32003, message, { type: 'unauthorized' });
+    this.name = 'AuthenticationError';
+  }
+}
+
+// An authenticated principal lacking the role a tool requires
+export class ForbiddenError extends RpcError {
+  constructor(message, data = {}) {
+    super(-32003, message, { type: 'forbidden', ...data });
+    this.name = 'ForbiddenError';
+  }
+}
+
+export const ANONYMOUS = Object.freeze({ id: 'anonymous', type: 'anonymous', roles: [], claims: {} });
+
+const CLOCK_SKEW_SECONDS = 60;
+
+const HMAC_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512',
+};
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+function base64UrlJson(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+function loadApiKeys() {
+  const keys = [];
+
+  if (process.env.MCP_API_KEYS) {
+    process.env.MCP_API_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, i) => {
+      const separator = entry.indexOf(':');
+      const [principal, key] = separator > 0
+        ? [entry.slice(0, separator), entry.slice(separator + 1)]
+        : [`api-key-${i + 1}`, entry];
+      keys.push({ principal, hash: sha256(key), roles: [] });
+    });
+  }
+
+  if (process.env.MCP_API_KEYS_FILE) {
+    const file = JSON.parse(fs.readFileSync(process.env.MCP_API_KEYS_FILE, 'utf8'));
+    for (const entry of file.keys || []) {
+      if (!entry.principal || (!entry.key && !entry.key_sha256)) {
+        throw new Error(`${process.env.MCP_API_KEYS_FILE}: every key needs "principal" and "key" or "key_sha256"`);
+      }
+      const hash = entry.key ? sha256(entry.key) : Buffer.from(entry.key_sha256, 'hex');
+      if (hash.length !== 32) {
+        throw new Error(`${process.env.MCP_API_KEYS_FILE}: key_sha256 of ${entry.principal} is not a hex SHA-256 digest`);
+      }
+      keys.push({ principal: entry.principal, hash, roles: entry.roles || [] });
+    }
+  }
+
+  return keys;
+}
+
+function loadJwtKeys() {
+  const keys = [];
+  if (process.env.JWT_SECRET) {
+    keys.push({ kid: null, secret: Buffer.from(process.env.JWT_SECRET, 'utf8') });
+  }
+  if (process.env.JWT_JWKS_FILE) {
+    const jwks = JSON.parse(fs.readFileSync(process.env.JWT_JWKS_FILE, 'utf8'));
+    for (const jwk of jwks.keys || []) {
+      if (jwk.kty === 'oct' && jwk.k) {
+        keys.push({ kid: jwk.kid ?? null, alg: jwk.alg, secret: Buffer.from(jwk.k, 'base64url') });
+      }
+    }
+  }
+  return keys;
+}
+
+export function apiKeyAuthenticator(keys) {
+  return token => {
+    const hash = sha256(token);
+    const match = keys.find(entry => timingSafeEqual(entry.hash, hash));
+    return match
+      ? { id: match.principal, type: 'api_key', roles: match.roles, claims: {} }
+      : null;
+  };
+}
+
+export function jwtAuthenticator(keys, { issuer, audience } = {}) {
+  return token => {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    let header, claims;
+    try {
+      header = base64UrlJson(parts[0]);
+      claims = base64UrlJson(parts[1]);
+    } catch {
+      return null;
+    }
+    if (!header || typeof header !== 'object' || !header.alg) {
+      return null;
+    }
+
+    const digest = HMAC_ALGORITHMS[header.alg];
+    if (!digest) {
+      throw new AuthenticationError(`Unsupported JWT algorithm: ${header.alg}`);
+    }
+    const candidates = keys.filter(key =>
+      (header.kid === undefined || key.kid === null || key.kid === header.kid) && (!key.alg || key.alg === header.alg));
+    const signature = Buffer.from(parts[2], 'base64url');
+    const valid = candidates.some(key => {
+      const expected = createHmac(digest, key.secret).update(`${parts[0]}.${parts[1]}`).digest();
+      return expected.length === signature.length && timingSafeEqual(expected, signature);
+    });
+    if (!valid) {
+      throw new AuthenticationError('Invalid JWT signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && now > claims.exp + CLOCK_SKEW_SECONDS) {
+      throw new AuthenticationError('JWT has expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - CLOCK_SKEW_SECONDS) {
+      throw new AuthenticationError('JWT is not valid yet');
+    }
+    if (issuer && claims.iss !== issuer) {
+      throw new AuthenticationError('JWT issuer mismatch');
+    }
+    if (audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(audience)) {
+        throw new AuthenticationError('JWT audience mismatch');
+      }
+    }
+    if (!claims.sub) {
+      throw new AuthenticationError('JWT has no sub claim');
+    }
+
+    const roles = Array.isArray(claims.roles)
+      ? claims.roles
+      : (typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : []);
+    return { id: String(claims.sub), type: 'jwt', roles, claims };
+  };
+}
+
+const authenticators = [];
+
+const apiKeys = loadApiKeys();
+if (apiKeys.length > 0) {
+  authenticators.push(apiKeyAuthenticator(apiKeys));
+}
+const jwtKeys = loadJwtKeys();
+if (jwtKeys.length > 0) {
+  authenticators.push(jwtAuthenticator(jwtKeys, {
+    issuer: process.env.JWT_ISSUER,
+    audience: process.env.JWT_AUDIENCE,
+  }));
+}
+
+// Adds another authenticator; authenticators run in registration order
+export function registerAuthenticator(authenticator) {
+  authenticators.push(authenticator);
+}
+
+export function authEnabled() {
+  return authenticators.length > 0;
+}
+
+function credentialFrom(req) {
+  const header = req.headers['authorization'];
+  if (header) {
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) {
+      throw new AuthenticationError('Authorization header must use the Bearer scheme');
+    }
+    return match[1].trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+// Resolves the principal for a request, throws AuthenticationError if the
+// request carries no valid credential
+export function authenticate(req) {
+  if (!authEnabled()) {
+    return ANONYMOUS;
+  }
+  const token = credentialFrom(req);
+  if (!token) {
+    throw new AuthenticationError('Authentication required');
+  }
+  for (const authenticator of authenticators) {
+    const principal = authenticator(token);
+    if (principal) {
+      return principal;
+    }
+  }
+  throw new AuthenticationError('Invalid credentials');
+}
+
+// Authenticates req and stores the principal on req.principal. On failure a
+// 401 with a JSON-RPC error is sent and false is returned.
+export function authorizeRequest(req, res) {
+  try {
+    req.principal = authenticate(req);
+    return true;
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) {
+      throw error;
+    }
+    log.warn('Authentication failed', { method: req.method, path: req.url?.split('?')[0], reason: error.message });
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('WWW-Authenticate', 'Bearer realm="mcp"');
+    res.writeHead(401);
+    res.end(JSON.stringify({
+      jsonrpc: "2.0",
+      id: null,
+      error: {
+        code: error.code,
+        message: error.message,
+        data: error.data,
+      },
+    }));
+    return false;
+  }
+}
+
+// Whether a policy rule (see masking.js, access_policy.js) covers principal:
+// everyone, or only the "principals" and "roles" it lists, minus its
+// "exempt_principals" and "exempt_roles"
+export function ruleAppliesTo(rule, principal) {
+  const roles = principal?.roles ?? [];
+  const id = principal?.id;
+  const listed = (list, value) => rule[list]?.includes(value) ?? false;
+  if ((rule.roles || rule.principals) &&
+      !(listed('principals', id) || roles.some(role => listed('roles', role)))) {
+    return false;
+  }
+  return !(listed('exempt_principals', id) || roles.some(role => listed('exempt_roles', role)));
+}
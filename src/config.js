@@ -0,0 +1,283 @@
+// Server configuration
+// Every setting can come from a JSON or YAML file (.yaml/.yml) named by
+// --config <file> or MCP_CONFIG_FILE, from its environment variable, or from
+// a command-line flag named after its path in the file (--port 9000,
+// --query.max_rows=500); flags win over the environment, the environment over
+// the file. The file is checked against the schema below, unknown keys
+// included, and every value is checked whichever layer it comes from; any
+// problem stops the server before anything else starts. The settings are then
+// written back to their environment variables, which the other modules read
+// when they load, so this module must be imported first.
+// --print-config prints the resulting settings with secrets redacted and
+// exits. Settings left at their defaults are not shown.
+
+import * as fs from "fs";
+import Ajv from "ajv";
+import { parse as parseYaml } from "yaml";
+
+const integer = { type: "integer", minimum: 0 };
+const text = { type: "string" };
+const boolean = { type: "boolean" };
+const interval = { type: "integer", minimum: 1000 };
+const oneOf = values => ({ type: "string", enum: values });
+
+const REDACTED = '[REDACTED]';
+const CONNECTION_PASSWORD = /\b([a-z][a-z0-9+.-]*:\/\/[^:/@\s]+):[^@\s]*@/gi;
+
+// Path in the file -> { env, schema, secret }
+const SETTINGS = {
+  'transport': { env: 'MCP_TRANSPORT', schema: oneOf(['http', 'https', 'sse', 'stdio']) },
+  'port': { env: 'PORT', schema: { type: "integer", minimum: 0, maximum: 65535 } },
+  'https.enabled': { env: 'ENABLE_HTTPS', schema: boolean },
+  'https.key_file': { env: 'SSL_KEY_PATH', schema: text },
+  'https.cert_file': { env: 'SSL_CERT_PATH', schema: text },
+  'https.ca_file': { env: 'SSL_CA_PATH', schema: text },
+
+  'database.url': { env: 'DATABASE_URL', schema: text },
+  'database.default': { env: 'DEFAULT_DATABASE', schema: text },
+  'database.config_file': { env: 'DATABASES_CONFIG', schema: text },
+  'database.pool.max': { env: 'DATABASE_POOL_MAX', schema: { type: "integer", minimum: 1 } },
+  'database.pool.idle_timeout_ms': { env: 'DATABASE_POOL_IDLE_TIMEOUT_MS', schema: integer },
+  'database.pool.connection_timeout_ms': { env: 'DATABASE_POOL_CONNECTION_TIMEOUT_MS', schema: integer },
+
+  'sessions.ttl_ms': { env: 'MCP_SESSION_TTL_MS', schema: integer },
+  'sessions.cleanup_interval_ms': { env: 'MCP_SESSION_CLEANUP_INTERVAL_MS', schema: interval },
+  'sessions.sse_ttl_ms': { env: 'SSE_SESSION_TTL_MS', schema: integer },
+  'sessions.sse_cleanup_interval_ms': { env: 'SSE_SESSION_CLEANUP_INTERVAL_MS', schema: interval },
+
+  'auth.api_keys': { env: 'MCP_API_KEYS', schema: text, secret: true },
+  'auth.api_keys_file': { env: 'MCP_API_KEYS_FILE', schema: text },
+  'auth.jwt_secret': { env: 'JWT_SECRET', schema: text, secret: true },
+  'auth.jwt_jwks_file': { env: 'JWT_JWKS_FILE', schema: text },
+  'auth.jwt_issuer': { env: 'JWT_ISSUER', schema: text },
+  'auth.jwt_audience': { env: 'JWT_AUDIENCE', schema: text },
+  'access_policy.file': { env: 'ACCESS_POLICY_FILE', schema: text },
+  'masking.policy_file': { env: 'MASKING_POLICY_FILE', schema: text },
+  'masking.hash_key': { env: 'MASKING_HASH_KEY', schema: text, secret: true },
+
+  ...Object.fromEntries(['principal', 'session', 'ip'].flatMap(scope => ['per_minute', 'burst', 'concurrent'].map(limit =>
+    [`rate_limits.${scope}.${limit}`, { env: `RATE_LIMIT_${scope}_${limit}`.toUpperCase(), schema: integer }]))),
+  'rate_limits.queue_timeout_ms': { env: 'RATE_LIMIT_QUEUE_TIMEOUT_MS', schema: integer },
+
+  'log.level': { env: 'LOG_LEVEL', schema: oneOf(['debug', 'info', 'warn', 'error']) },
+  'log.bodies': { env: 'LOG_BODIES', schema: oneOf(['none', 'summary', 'full']) },
+
+  'audit.enabled': { env: 'AUDIT_LOG', schema: boolean },
+  'audit.dir': { env: 'AUDIT_LOG_DIR', schema: text },
+  'audit.max_bytes': { env: 'AUDIT_LOG_MAX_BYTES', schema: integer },
+  'audit.max_files': { env: 'AUDIT_LOG_MAX_FILES', schema: integer },
+  'audit.admin_role': { env: 'AUDIT_ADMIN_ROLE', schema: text },
+
+  'query.tool_enabled': { env: 'QUERY_TOOL', schema: boolean },
+  'query.statement_timeout_ms': { env: 'QUERY_STATEMENT_TIMEOUT_MS', schema: integer },
+  'query.lock_timeout_ms': { env: 'QUERY_LOCK_TIMEOUT_MS', schema: integer },
+  'query.idle_in_transaction_timeout_ms': { env: 'QUERY_IDLE_IN_TRANSACTION_TIMEOUT_MS', schema: integer },
+  'query.max_statement_timeout_ms': { env: 'QUERY_MAX_STATEMENT_TIMEOUT_MS', schema: integer },
+  'query.max_lock_timeout_ms': { env: 'QUERY_MAX_LOCK_TIMEOUT_MS', schema: integer },
+  'query.max_rows': { env: 'QUERY_MAX_ROWS', schema: integer },
+  'query.cursor_ttl_ms': { env: 'QUERY_CURSOR_TTL_MS', schema: integer },
+  'query.max_open_cursors': { env: 'QUERY_MAX_OPEN_CURSORS', schema: integer },
+  'query.cache.max_bytes': { env: 'QUERY_CACHE_MAX_BYTES', schema: integer },
+  'query.cache.ttl_ms': { env: 'QUERY_CACHE_TTL_MS', schema: integer },
+  'query.cache.max_ttl_ms': { env: 'QUERY_CACHE_MAX_TTL_MS', schema: integer },
+  'explain.large_table_rows': { env: 'EXPLAIN_LARGE_TABLE_ROWS', schema: integer },
+  'resources.sample_rows': { env: 'RESOURCE_SAMPLE_ROWS', schema: integer },
+  'prompts.dir': { env: 'PROMPTS_DIR', schema: text },
+  'named_queries.file': { env: 'NAMED_QUERIES_FILE', schema: text },
+  'named_queries.poll_ms': { env: 'NAMED_QUERIES_POLL_MS', schema: integer },
+};
+
+// One entry of "databases", as in a DATABASES_CONFIG file
+const DATABASE_SCHEMA = {
+  type: "object",
+  properties: {
+    url: text,
+    url_env: text,
+    description: text,
+    pool: {
+      type: "object",
+      properties: {
+        max: { type: "integer", minimum: 1 },
+        idleTimeoutMillis: integer,
+        connectionTimeoutMillis: integer,
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+function section() {
+  return { type: "object", properties: {}, additionalProperties: false };
+}
+
+function fileSchema() {
+  const root = section();
+  for (const [path, { schema }] of Object.entries(SETTINGS)) {
+    const keys = path.split('.');
+    let node = root;
+    for (const key of keys.slice(0, -1)) {
+      node = node.properties[key] ??= section();
+    }
+    node.properties[keys[keys.length - 1]] = schema;
+  }
+  root.properties.databases = { type: "object", additionalProperties: DATABASE_SCHEMA };
+  return root;
+}
+
+const ajv = new Ajv({ allErrors: true });
+// Environment variables and flags are text; "30000" and "true" become 30000 and true
+const coercing = new Ajv({ coerceTypes: true });
+
+function describe(error) {
+  return error.keyword === 'enum' ? `should be one of ${error.params.allowedValues.join(', ')}` : error.message;
+}
+
+function fileErrors(file, errors) {
+  return errors.map(error => {
+    const where = error.dataPath.replace(/^\./, '');
+    if (error.keyword === 'additionalProperties') {
+      return `${file}: unknown setting ${[where, error.params.additionalProperty].filter(Boolean).join('.')}`;
+    }
+    return `${file}: ${where || 'the file'} ${describe(error)}`;
+  });
+}
+
+// --config <file>, --print-config and --<setting path> <value> (or =<value>);
+// a boolean setting given without a value is true
+function parseArgs(argv, errors) {
+  const args = { file: null, print: false, flags: new Map() };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([^=]+)(?:=([\s\S]*))?$/.exec(argv[i]);
+    if (!match) {
+      errors.push(`Unexpected argument "${argv[i]}"`);
+      continue;
+    }
+    const [, name, inline] = match;
+    if (name === 'print-config') {
+      args.print = true;
+      continue;
+    }
+    if (name !== 'config' && !SETTINGS[name]) {
+      errors.push(`Unknown option --${name}`);
+      continue;
+    }
+    let value = inline;
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        if (SETTINGS[name]?.schema.type !== 'boolean') {
+          errors.push(`--${name} needs a value`);
+          continue;
+        }
+        value = 'true';
+      } else {
+        value = next;
+        i++;
+      }
+    }
+    if (name === 'config') {
+      args.file = value;
+    } else {
+      args.flags.set(name, value);
+    }
+  }
+  return args;
+}
+
+function readFile(file, errors) {
+  let config;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    config = (/\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text)) ?? {};
+  } catch (error) {
+    errors.push(`${file}: ${error.message}`);
+    return {};
+  }
+  if (!ajv.validate(fileSchema(), config)) {
+    errors.push(...fileErrors(file, ajv.errors));
+    return {};
+  }
+  return config;
+}
+
+function lookup(config, path) {
+  return path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), config);
+}
+
+function assign(config, path, value) {
+  const keys = path.split('.');
+  let node = config;
+  for (const key of keys.slice(0, -1)) {
+    node = node[key] ??= {};
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+// A flag or environment value as its setting's type, or an error
+function coerce(setting, raw, source, errors) {
+  const data = { value: setting.schema.enum ? raw.toLowerCase() : raw };
+  const validate = coercing.compile({ type: "object", properties: { value: setting.schema } });
+  if (!validate(data)) {
+    errors.push(`${setting.secret ? source : `${source}=${raw}`}: ${describe(validate.errors[0])}`);
+    return undefined;
+  }
+  return data.value;
+}
+
+function loadConfig() {
+  const errors = [];
+  const args = parseArgs(process.argv.slice(2), errors);
+  const file = args.file || process.env.MCP_CONFIG_FILE || null;
+  const fromFile = file ? readFile(file, errors) : {};
+
+  const settings = {};
+  for (const [path, setting] of Object.entries(SETTINGS)) {
+    const env = process.env[setting.env];
+    let value;
+    if (args.flags.has(path)) {
+      value = coerce(setting, args.flags.get(path), `--${path}`, errors);
+    } else if (env !== undefined && env !== '') {
+      value = coerce(setting, env, setting.env, errors);
+    } else {
+      value = lookup(fromFile, path);
+    }
+    if (value !== undefined) {
+      assign(settings, path, value);
+      process.env[setting.env] = String(value);
+    }
+  }
+
+  if (errors.length > 0) {
+    process.stderr.write(`Invalid configuration:\n${errors.map(error => `  - ${error}\n`).join('')}`);
+    process.exit(1);
+  }
+  return { file, print: args.print, settings, databases: fromFile.databases ?? {} };
+}
+
+const loaded = loadConfig();
+
+// The configuration file in use, or null
+export const configFile = loaded.file;
+
+// Databases declared in the file: name -> { url | url_env, description, pool }
+export const configDatabases = loaded.databases;
+
+// Secrets as [REDACTED] and connection strings without their password. The
+// logger cannot do it: it reads LOG_LEVEL when it loads, and must not load
+// before the settings are in place.
+function printable(config) {
+  const copy = structuredClone(config);
+  for (const [path, setting] of Object.entries(SETTINGS)) {
+    if (setting.secret && lookup(copy, path) !== undefined) {
+      assign(copy, path, REDACTED);
+    }
+  }
+  return JSON.stringify(copy, (key, value) =>
+    (typeof value === 'string' ? value.replace(CONNECTION_PASSWORD, `$1:${REDACTED}@`) : value), 2);
+}
+
+if (loaded.print) {
+  const databases = Object.keys(loaded.databases).length > 0 ? { databases: loaded.databases } : {};
+  process.stdout.write(`${printable({ ...loaded.settings, ...databases })}\n`);
+  process.exit(0);
+}
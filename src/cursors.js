@@ -0,0 +1,206 @@
+// Row limits and cursor-based pagination
+// A query returns at most maxRows rows. When more are available the read-only
+// transaction is kept open with a server-side cursor (DECLARE ... NO SCROLL)
+// and the caller gets an opaque token to fetch the next page. Cursors belong
+// to the MCP session that opened them and expire after QUERY_CURSOR_TTL_MS.
+
+import { randomBytes } from "crypto";
+import {
+  envInt,
+  beginReadOnlyTransaction,
+  endTransaction,
+  translateQueryError,
+} from "./executor.js";
+import { resultTypes, describeColumns } from "./types.js";
+import { maskingEnabled, columnSources } from "./masking.js";
+import { InvalidParamsError } from "./errors.js";
+import { log } from "./logger.js";
+
+export const paginationLimits = {
+  maxRows: envInt('QUERY_MAX_ROWS', 1000),
+  cursorTtlMs: envInt('QUERY_CURSOR_TTL_MS', 5 * 60 * 1000),
+  maxOpenCursors: envInt('QUERY_MAX_OPEN_CURSORS', 4),
+};
+
+const CURSOR_NAME = 'mcp_page_cursor';
+
+// Rows come back as arrays so duplicate column names (SELECT a.id, b.id) survive
+const ROW_OPTIONS = { rowMode: 'array', types: resultTypes };
+
+// token -> { client, onError, sessionId, columns, sources, lookahead, timeouts, expiresAt, busy }
+const openCursors = new Map();
+
+export function resolveMaxRows(value) {
+  if (value === undefined || value === null) {
+    return paginationLimits.maxRows;
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new InvalidParamsError('max_rows must be a positive integer', { argument: 'max_rows' });
+  }
+  return Math.min(value, paginationLimits.maxRows);
+}
+
+// header is { columns, sources }: sources are the table columns behind the
+// result columns, resolved only while masking policies are in force
+function page({ columns, sources }, rows, nextCursor, truncated = nextCursor !== null) {
+  return { columns, sources, rows, rowCount: rows.length, truncated, nextCursor };
+}
+
+async function describeResult(pool, fields, client) {
+  return {
+    columns: await describeColumns(pool, fields, client),
+    sources: maskingEnabled() ? await columnSources(client, fields) : null,
+  };
+}
+
+async function discard(token) {
+  const cursor = openCursors.get(token);
+  if (!cursor) {
+    return;
+  }
+  openCursors.delete(token);
+  // The pool hands the client out again; the listener must not stay behind on it
+  cursor.client.off('error', cursor.onError);
+  await endTransaction(cursor.client);
+}
+
+// Runs a classified read query with bind values and returns its first page.
+// Statements that cannot back a cursor (EXPLAIN, SHOW) are simply cut off at maxRows.
+export async function executePaged(pool, sql, { statementType, values = [], maxRows, sessionId = null, timeouts: overrides }) {
+  const { client, timeouts } = await beginReadOnlyTransaction(pool, overrides);
+  let keepOpen = false;
+  try {
+    if (statementType !== 'SelectStmt') {
+      const result = await client.query({ text: sql, values, ...ROW_OPTIONS });
+      const rows = result.rows || [];
+      const header = await describeResult(pool, result.fields, client);
+      return page(header, rows.slice(0, maxRows), null, rows.length > maxRows);
+    }
+
+    // The classifier guarantees a single SELECT, so it is safe to append
+    await client.query({ text: `DECLARE ${CURSOR_NAME} NO SCROLL CURSOR FOR\n${sql}`, values });
+    const result = await client.query({ text: `FETCH FORWARD ${maxRows + 1} FROM ${CURSOR_NAME}`, ...ROW_OPTIONS });
+    const header = await describeResult(pool, result.fields, client);
+    if (result.rows.length <= maxRows) {
+      return page(header, result.rows, null);
+    }
+
+    const rows = result.rows.slice(0, maxRows);
+    if (openCursors.size >= paginationLimits.maxOpenCursors) {
+      log.warn('Cursor limit reached, returning truncated result without continuation', { limit: paginationLimits.maxOpenCursors });
+      return page(header, rows, null, true);
+    }
+
+    // Keep the transaction alive between pages; the sweeper closes it before Postgres would
+    await client.query(`SET LOCAL idle_in_transaction_session_timeout = ${paginationLimits.cursorTtlMs + 60000}`);
+    const onError = error => log.error('Cursor connection error', { error });
+    client.on('error', onError);
+
+    const token = randomBytes(24).toString('base64url');
+    openCursors.set(token, {
+      client,
+      onError,
+      sessionId,
+      ...header,
+      lookahead: result.rows[maxRows],
+      timeouts,
+      expiresAt: Date.now() + paginationLimits.cursorTtlMs,
+      busy: false,
+    });
+    keepOpen = true;
+    return page(header, rows, token);
+  } catch (error) {
+    throw translateQueryError(error, timeouts);
+  } finally {
+    if (!keepOpen) {
+      await endTransaction(client);
+    }
+  }
+}
+
+// Runs a classified read query and returns its first maxRows rows, with no
+// continuation and no cursor held open: a SELECT is wrapped in
+// LIMIT maxRows + 1, the extra row telling whether it was truncated. The SQL
+// must not end in a semicolon (see statementText).
+export async function executeLimited(pool, sql, { statementType, values = [], maxRows, timeouts: overrides }) {
+  const { client, timeouts } = await beginReadOnlyTransaction(pool, overrides);
+  try {
+    const text = statementType === 'SelectStmt'
+      ? `SELECT * FROM (\n${sql}\n) AS limited LIMIT ${maxRows + 1}`
+      : sql;
+    const result = await client.query({ text, values, ...ROW_OPTIONS });
+    const rows = result.rows || [];
+    const header = await describeResult(pool, result.fields, client);
+    return page(header, rows.slice(0, maxRows), null, rows.length > maxRows);
+  } catch (error) {
+    throw translateQueryError(error, timeouts);
+  } finally {
+    await endTransaction(client);
+  }
+}
+
+function lookupCursor(token, sessionId) {
+  const cursor = openCursors.get(token);
+  // A cursor opened in another session is reported exactly like an unknown one
+  if (!cursor || cursor.sessionId !== sessionId) {
+    throw new InvalidParamsError('Unknown or expired cursor', { argument: 'cursor' });
+  }
+  if (cursor.busy) {
+    throw new InvalidParamsError('Cursor is already fetching a page', { argument: 'cursor' });
+  }
+  return cursor;
+}
+
+// Fetches the next page of an open cursor; the cursor is closed once drained
+export async function fetchPage(token, { maxRows, sessionId = null }) {
+  const cursor = lookupCursor(token, sessionId);
+  cursor.busy = true;
+  try {
+    const result = await cursor.client.query({ text: `FETCH FORWARD ${maxRows} FROM ${CURSOR_NAME}`, ...ROW_OPTIONS });
+    const rows = [cursor.lookahead, ...result.rows];
+    if (rows.length <= maxRows) {
+      await discard(token);
+      return page(cursor, rows, null);
+    }
+    cursor.lookahead = rows.pop();
+    cursor.expiresAt = Date.now() + paginationLimits.cursorTtlMs;
+    return page(cursor, rows, token);
+  } catch (error) {
+    await discard(token);
+    throw translateQueryError(error, cursor.timeouts);
+  } finally {
+    cursor.busy = false;
+  }
+}
+
+export async function closeCursor(token, sessionId = null) {
+  lookupCursor(token, sessionId);
+  await discard(token);
+}
+
+// Called when an MCP session ends
+export async function closeSessionCursors(sessionId) {
+  for (const [token, cursor] of openCursors.entries()) {
+    if (cursor.sessionId === sessionId) {
+      await discard(token);
+    }
+  }
+}
+
+export async function closeAllCursors() {
+  await Promise.all([...openCursors.keys()].map(discard));
+}
+
+export function openCursorCount() {
+  return openCursors.size;
+}
+
+// Release cursors nobody came back for
+setInterval(() => {
+  const now = Date.now();
+  for (const [token, cursor] of openCursors.entries()) {
+    if (!cursor.busy && cursor.expiresAt <= now) {
+      discard(token).catch(error => log.error('Error closing expired cursor', { error }));
+    }
+  }
+}, 15 * 1000).unref();
@@ -0,0 +1,205 @@
+// Registry of named database connections, each with its own pg.Pool
+// Sources, later ones adding to earlier ones:
+//   - DATABASE_URL                 -> "default"
+//   - DATABASE_URL_<NAME>          -> "<name>" (e.g. DATABASE_URL_ANALYTICS -> "analytics")
+//   - "databases" in the configuration file (see config.js), entries as below
+//   - DATABASES_CONFIG JSON file:
+//       { "default": "app",
+//         "databases": {
+//           "app": { "url": "postgresql://...", "description": "...",
+//                    "pool": { "max": 10, "idleTimeoutMillis": 30000, "connectionTimeoutMillis": 2000 } },
+//           "analytics": { "url_env": "ANALYTICS_DATABASE_URL" } } }
+// The default database is the one named by "default" in the file, else
+// DEFAULT_DATABASE, else "default", else the first one registered.
+// Later sources override earlier entries with the same name. There is no
+// built-in connection: with none configured the server does not start.
+// DATABASE_POOL_MAX, DATABASE_POOL_IDLE_TIMEOUT_MS and
+// DATABASE_POOL_CONNECTION_TIMEOUT_MS set the pool options of databases that
+// do not give their own.
+
+import * as pg from "pg";
+import * as fs from "fs";
+import { configDatabases } from "./config.js";
+import { envInt } from "./executor.js";
+import { InvalidParamsError } from "./errors.js";
+import { log } from "./logger.js";
+
+const DEFAULT_POOL_OPTIONS = {
+  max: envInt('DATABASE_POOL_MAX', 10),
+  idleTimeoutMillis: envInt('DATABASE_POOL_IDLE_TIMEOUT_MS', 30000),
+  connectionTimeoutMillis: envInt('DATABASE_POOL_CONNECTION_TIMEOUT_MS', 2000),
+};
+
+const NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+const databases = new Map();
+let defaultName = null;
+
+function register(name, { url, description = null, pool: poolOptions = {} }) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid database name "${name}": use lowercase letters, digits, "_" and "-"`);
+  }
+  if (!url) {
+    throw new Error(`Database "${name}" has no connection URL`);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Database "${name}" has an invalid connection URL`);
+  }
+
+  const pool = new pg.Pool({
+    ...DEFAULT_POOL_OPTIONS,
+    ...poolOptions,
+    connectionString: url,
+  });
+
+  pool.on('connect', () => {
+    log.debug('Opened PostgreSQL connection', { database: name });
+  });
+
+  pool.on('error', (err) => {
+    log.error('PostgreSQL pool error', { database: name, error: err });
+  });
+
+  databases.set(name, {
+    name,
+    description,
+    host: parsed.hostname,
+    port: parsed.port ? Number(parsed.port) : 5432,
+    database: decodeURIComponent(parsed.pathname.replace(/^\//, '')),
+    pool,
+    poolOptions: { ...DEFAULT_POOL_OPTIONS, ...poolOptions },
+  });
+}
+
+function loadDatabases() {
+  const entries = new Map();
+
+  if (process.env.DATABASE_URL) {
+    entries.set('default', { url: process.env.DATABASE_URL });
+  }
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = /^DATABASE_URL_([A-Z0-9_]+)$/.exec(key);
+    if (match && value) {
+      entries.set(match[1].toLowerCase(), { url: value });
+    }
+  }
+
+  const addEntries = (source, declared) => {
+    for (const [name, entry] of Object.entries(declared)) {
+      const url = entry.url || (entry.url_env && process.env[entry.url_env]);
+      if (!url) {
+        throw new Error(`${source}: database "${name}" needs "url" or "url_env" naming a set variable`);
+      }
+      entries.set(name, { url, description: entry.description, pool: entry.pool });
+    }
+  };
+
+  addEntries('configuration file', configDatabases);
+
+  const configPath = process.env.DATABASES_CONFIG;
+  if (configPath) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    addEntries(configPath, config.databases || {});
+    defaultName = config.default || null;
+  }
+
+  if (entries.size === 0) {
+    throw new Error('No database configured: set DATABASE_URL, DATABASE_URL_<NAME>, DATABASES_CONFIG or "databases" in the configuration file');
+  }
+
+  for (const [name, entry] of entries) {
+    register(name, entry);
+  }
+
+  defaultName = defaultName || process.env.DEFAULT_DATABASE || (entries.has('default') ? 'default' : entries.keys().next().value);
+  if (!databases.has(defaultName)) {
+    throw new Error(`Default database "${defaultName}" is not configured`);
+  }
+}
+
+loadDatabases();
+
+export function defaultDatabaseName() {
+  return defaultName;
+}
+
+// Looks up a database by name (the default when name is omitted)
+export function getDatabase(name) {
+  if (name === undefined || name === null) {
+    return databases.get(defaultName);
+  }
+  if (typeof name !== 'string' || !databases.has(name)) {
+    throw new InvalidParamsError(`Unknown database: ${name}`, {
+      argument: 'database',
+      available: [...databases.keys()],
+    });
+  }
+  return databases.get(name);
+}
+
+export function listDatabases() {
+  return [...databases.values()];
+}
+
+// Pings every database, returns { name: 'connected' | 'disconnected: <reason>' }
+export async function checkDatabases() {
+  const status = {};
+  await Promise.all(listDatabases().map(async db => {
+    try {
+      const client = await db.pool.connect();
+      try {
+        await client.query('SELECT 1');
+      } finally {
+        client.release();
+      }
+      status[db.name] = 'connected';
+    } catch (error) {
+      status[db.name] = `disconnected: ${error instanceof Error ? error.message : 'Unknown error'}`;
+    }
+  }));
+  return status;
+}
+
+export async function closeAllDatabases() {
+  await Promise.all(listDatabases().map(db => db.pool.end()));
+}
+
+// JSON Schema for the "database" argument every database tool accepts
+export const databaseArgument = {
+  type: "string",
+  description: "Name of the database to use (see list_databases; default: the server's default database)"
+};
+
+export const listDatabasesTool = {
+  name: "list_databases",
+  description: "List the databases this server can query, with their descriptions and connection pool usage",
+  inputSchema: {
+    type: "object",
+    properties: {},
+  },
+};
+
+export function callListDatabasesTool() {
+  const data = listDatabases().map(db => ({
+    name: db.name,
+    description: db.description,
+    default: db.name === defaultName,
+    host: db.host,
+    port: db.port,
+    database: db.database,
+    pool: {
+      max: db.poolOptions.max,
+      total: db.pool.totalCount,
+      idle: db.pool.idleCount,
+      waiting: db.pool.waitingCount,
+    },
+  }));
+  return {
+    content: [{ type: "text", text: JSON.stringify({ databases: data }, null, 2) }],
+    isError: false,
+  };
+}
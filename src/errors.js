@@ -0,0 +1,104 @@
+// Errors that map onto a specific JSON-RPC error code and data payload.
+// Anything else thrown while handling a request is reported as a bare -32603
+// "Internal error"; its message and stack only go to the server log.
+
+export class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// The message is not valid JSON
+export class ParseError extends RpcError {
+  constructor() {
+    super(-32700, 'Parse error');
+    this.name = 'ParseError';
+  }
+}
+
+// Valid JSON that is not a JSON-RPC 2.0 request or notification
+export class InvalidRequestError extends RpcError {
+  constructor(message) {
+    super(-32600, `Invalid Request: ${message}`);
+    this.name = 'InvalidRequestError';
+  }
+}
+
+export class MethodNotFoundError extends RpcError {
+  constructor(method) {
+    super(-32601, `Method not found: ${method}`, { method });
+    this.name = 'MethodNotFoundError';
+  }
+}
+
+// Tool arguments that are present but malformed
+export class InvalidParamsError extends RpcError {
+  constructor(message, data) {
+    super(-32602, message, data);
+    this.name = 'InvalidParamsError';
+  }
+}
+
+// resources/read of a URI that names nothing (MCP uses -32002)
+export class ResourceNotFoundError extends RpcError {
+  constructor(uri) {
+    super(-32002, `Resource not found: ${uri}`, { uri });
+    this.name = 'ResourceNotFoundError';
+  }
+}
+
+// Raised by the SQL classifier when a statement is not a plain read
+export class SqlRejectedError extends RpcError {
+  constructor(reason, message, details = {}) {
+    super(-32602, `Query rejected: ${message}`, { reason, ...details });
+    this.name = 'SqlRejectedError';
+    this.reason = reason;
+  }
+}
+
+// A statement, lock wait or idle transaction ran past its configured timeout
+// and was cancelled by the server
+export class QueryTimeoutError extends RpcError {
+  constructor(timeout, timeoutMs, sqlstate) {
+    super(-32001, `Query cancelled: ${timeout} of ${timeoutMs}ms exceeded`, {
+      type: 'query_timeout',
+      timeout,
+      timeout_ms: timeoutMs,
+      sqlstate,
+    });
+    this.name = 'QueryTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// A client went over its request rate or concurrency quota (see quotas.js)
+export class RateLimitedError extends RpcError {
+  constructor(message, { scope, limit, retryAfterMs }) {
+    super(-32004, message, {
+      type: 'rate_limited',
+      scope,
+      limit,
+      retry_after_ms: retryAfterMs,
+    });
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Builds the JSON-RPC error object for a caught error
+export function toJsonRpcError(error) {
+  if (error instanceof RpcError) {
+    return {
+      code: error.code,
+      message: error.message,
+      data: error.data,
+    };
+  }
+  return {
+    code: -32603,
+    message: 'Internal error',
+  };
+}
@@ -0,0 +1,124 @@
+// Read-only transaction envelope
+// Every query runs on its own pooled client inside BEGIN READ ONLY ... ROLLBACK,
+// with statement, lock and idle-in-transaction timeouts set via SET LOCAL so
+// they never leak onto the next user of the connection.
+
+import { InvalidParamsError, QueryTimeoutError } from "./errors.js";
+
+// Reads a non-negative integer setting from the environment
+export function envInt(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const parsed = parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return parsed;
+}
+
+// Server-wide defaults and the caps a per-call override may not exceed
+export const queryTimeouts = {
+  statementTimeoutMs: envInt('QUERY_STATEMENT_TIMEOUT_MS', 30000),
+  lockTimeoutMs: envInt('QUERY_LOCK_TIMEOUT_MS', 5000),
+  idleInTransactionTimeoutMs: envInt('QUERY_IDLE_IN_TRANSACTION_TIMEOUT_MS', 10000),
+  maxStatementTimeoutMs: envInt('QUERY_MAX_STATEMENT_TIMEOUT_MS', 120000),
+  maxLockTimeoutMs: envInt('QUERY_MAX_LOCK_TIMEOUT_MS', 30000),
+};
+
+// SQLSTATEs raised when one of the timeouts fires
+const TIMEOUT_SQLSTATES = {
+  '57014': 'statement_timeout',
+  '55P03': 'lock_timeout',
+  '25P03': 'idle_in_transaction_session_timeout',
+};
+
+function overrideMs(value, name, fallback, cap) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new InvalidParamsError(`${name} must be a positive integer (milliseconds)`, { argument: name });
+  }
+  return Math.min(value, cap);
+}
+
+// Merges per-call overrides ({ statementTimeoutMs, lockTimeoutMs }) with the
+// server defaults, clamping them to the configured caps
+export function resolveTimeouts(overrides = {}) {
+  return {
+    statementTimeoutMs: overrideMs(overrides.statementTimeoutMs, 'timeout_ms',
+      queryTimeouts.statementTimeoutMs, queryTimeouts.maxStatementTimeoutMs),
+    lockTimeoutMs: overrideMs(overrides.lockTimeoutMs, 'lock_timeout_ms',
+      queryTimeouts.lockTimeoutMs, queryTimeouts.maxLockTimeoutMs),
+    idleInTransactionTimeoutMs: overrides.idleInTransactionTimeoutMs ?? queryTimeouts.idleInTransactionTimeoutMs,
+  };
+}
+
+// Maps Postgres timeout errors onto QueryTimeoutError, other errors pass through
+export function translateQueryError(error, timeouts) {
+  const timeout = TIMEOUT_SQLSTATES[error?.code];
+  if (!timeout) {
+    return error;
+  }
+  // 57014 is also raised by pg_cancel_backend; only report it as a timeout
+  // when the message says so
+  if (error.code === '57014' && !/statement timeout/i.test(error.message)) {
+    return error;
+  }
+  const timeoutMs = {
+    statement_timeout: timeouts.statementTimeoutMs,
+    lock_timeout: timeouts.lockTimeoutMs,
+    idle_in_transaction_session_timeout: timeouts.idleInTransactionTimeoutMs,
+  }[timeout];
+  return new QueryTimeoutError(timeout, timeoutMs, error.code);
+}
+
+// Checks out a client and opens BEGIN READ ONLY with the timeouts applied.
+// The caller must hand the client back through endTransaction.
+export async function beginReadOnlyTransaction(pool, overrides = {}) {
+  const timeouts = resolveTimeouts(overrides);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    // Values are validated integers, SET does not accept bind parameters
+    await client.query(`SET LOCAL statement_timeout = ${timeouts.statementTimeoutMs}`);
+    await client.query(`SET LOCAL lock_timeout = ${timeouts.lockTimeoutMs}`);
+    await client.query(`SET LOCAL idle_in_transaction_session_timeout = ${timeouts.idleInTransactionTimeoutMs}`);
+  } catch (error) {
+    await endTransaction(client);
+    throw translateQueryError(error, timeouts);
+  }
+  return { client, timeouts };
+}
+
+// Rolls back and returns the client to the pool
+export async function endTransaction(client) {
+  let releaseError;
+  try {
+    await client.query('ROLLBACK');
+  } catch (error) {
+    // The connection is unusable (e.g. terminated by the idle timeout), drop it from the pool
+    releaseError = error;
+  }
+  client.release(releaseError);
+}
+
+// Runs fn(client, timeouts) inside a read-only transaction that is always
+// rolled back afterwards
+export async function withReadOnlyTransaction(pool, overrides, fn) {
+  const { client, timeouts } = await beginReadOnlyTransaction(pool, overrides);
+  try {
+    return await fn(client, timeouts);
+  } catch (error) {
+    throw translateQueryError(error, timeouts);
+  } finally {
+    await endTransaction(client);
+  }
+}
+
+// Runs a single read query inside the envelope
+export async function runReadOnlyQuery(pool, sql, overrides = {}) {
+  return withReadOnlyTransaction(pool, overrides, client => client.query(sql));
+}
@@ -0,0 +1,300 @@
+// The "explain_query" tool: EXPLAIN (FORMAT JSON) of a read-only SELECT
+// With analyze the query really runs, but like every other call inside
+// BEGIN READ ONLY ... ROLLBACK and under the statement timeout. The raw plan
+// comes back together with a summary: costs, estimated vs actual rows, the
+// nodes that cost most, sequential scans of large tables and the indexes
+// that could replace them.
+
+import { parse } from "libpg-query";
+import { envInt, withReadOnlyTransaction } from "./executor.js";
+import { assertReadOnlySql, walkAst } from "./sql_guard.js";
+import { quoteIdentifiers } from "./resources.js";
+import { getDatabase, databaseArgument } from "./databases.js";
+import { assertSqlAllowed } from "./access_policy.js";
+import { RpcError, SqlRejectedError } from "./errors.js";
+import { log } from "./logger.js";
+
+export const explainLimits = {
+  largeTableRows: envInt('EXPLAIN_LARGE_TABLE_ROWS', 10000),
+};
+
+const TOP_NODES = 5;
+const MISESTIMATE_FACTOR = 10;
+// An index only pays off when the scan keeps a small share of the table
+const INDEX_SELECTIVITY = 0.1;
+
+const EQUALITY_OPERATORS = new Set(['=']);
+const RANGE_OPERATORS = new Set(['<', '<=', '>', '>=']);
+
+export const explainTool = {
+  name: "explain_query",
+  description: "Show the execution plan of a read-only SELECT query (EXPLAIN FORMAT JSON) with a summary: " +
+    "total cost, estimated vs actual rows, the most expensive plan nodes, sequential scans of large tables and index suggestions",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sql: {
+        type: "string",
+        description: "The SELECT query to explain"
+      },
+      database: databaseArgument,
+      analyze: {
+        type: "boolean",
+        description: "Run the query (EXPLAIN ANALYZE, BUFFERS) to get actual rows and timings; it runs in a read-only transaction that is rolled back (default false)"
+      },
+      timeout_ms: {
+        type: "integer",
+        description: "Statement timeout in milliseconds for this call (capped by the server maximum)"
+      },
+    },
+    required: ["sql"],
+  },
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function relationOf(node) {
+  return node['Relation Name'] ? { schema: node['Schema'], table: node['Relation Name'] } : null;
+}
+
+function nodeLabel(node) {
+  const relation = relationOf(node);
+  return node['Node Type'] +
+    (node['Index Name'] ? ` using ${node['Index Name']}` : '') +
+    (relation ? ` on ${relation.schema}.${relation.table}` : '') +
+    (node['Alias'] && relation && node['Alias'] !== relation.table ? ` ${node['Alias']}` : '');
+}
+
+// Plan tree -> flat list of nodes with their own (exclusive) cost and time
+function flattenPlan(node, analyzed, nodes = [], depth = 0) {
+  const children = node.Plans ?? [];
+  const loops = node['Actual Loops'] ?? 0;
+  const entry = {
+    node: nodeLabel(node),
+    depth,
+    total_cost: node['Total Cost'],
+    self_cost: round(Math.max(0, node['Total Cost'] - children.reduce((sum, child) => sum + child['Total Cost'], 0))),
+    estimated_rows: node['Plan Rows'],
+  };
+  if (analyzed) {
+    const totalTime = (node['Actual Total Time'] ?? 0) * loops;
+    const childTime = children.reduce((sum, child) => sum + (child['Actual Total Time'] ?? 0) * (child['Actual Loops'] ?? 0), 0);
+    entry.actual_rows = node['Actual Rows'] ?? 0;
+    entry.loops = loops;
+    entry.total_time_ms = round(totalTime);
+    entry.self_time_ms = round(Math.max(0, totalTime - childTime));
+  }
+  nodes.push({ entry, plan: node });
+  for (const child of children) {
+    flattenPlan(child, analyzed, nodes, depth + 1);
+  }
+  return nodes;
+}
+
+// Row estimates off by MISESTIMATE_FACTOR or more, per loop like EXPLAIN shows them
+function rowMisestimates(nodes) {
+  const misestimates = [];
+  for (const { entry } of nodes) {
+    if (!entry.loops) {
+      continue;
+    }
+    const factor = Math.max(entry.actual_rows, 1) / Math.max(entry.estimated_rows, 1);
+    if (factor >= MISESTIMATE_FACTOR || factor <= 1 / MISESTIMATE_FACTOR) {
+      misestimates.push({
+        node: entry.node,
+        estimated_rows: entry.estimated_rows,
+        actual_rows: entry.actual_rows,
+        factor: round(factor >= 1 ? factor : -1 / factor),
+      });
+    }
+  }
+  return misestimates;
+}
+
+// Size and leading index columns of every relation the plan scans sequentially
+async function scannedRelations(db, nodes) {
+  const relations = nodes.map(({ plan }) => relationOf(plan)).filter(Boolean);
+  if (relations.length === 0) {
+    return new Map();
+  }
+  const result = await db.query(`
+    SELECT n.nspname AS schema,
+           c.relname AS table,
+           CASE WHEN c.reltuples < 0 THEN NULL ELSE c.reltuples::bigint END AS row_estimate,
+           ARRAY(
+             SELECT a.attname
+               FROM pg_index i
+               JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[0]
+              WHERE i.indrelid = c.oid
+           ) AS leading_index_columns
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN unnest($1::text[], $2::text[]) AS r(schema, name) ON r.schema = n.nspname AND r.name = c.relname
+  `, [relations.map(r => r.schema), relations.map(r => r.table)]);
+  return new Map(result.rows.map(row => [`${row.schema}.${row.table}`, row]));
+}
+
+function filterColumn(expr) {
+  const column = expr?.ColumnRef ?? expr?.TypeCast?.arg?.ColumnRef;
+  const fields = column?.fields ?? [];
+  return fields[fields.length - 1]?.String?.sval ?? null;
+}
+
+// Columns compared against a value in a scan filter, equality first. The
+// filter text is a deparsed expression, so it goes through the SQL parser.
+async function filterColumns(filter) {
+  let ast;
+  try {
+    ast = await parse(`SELECT WHERE ${filter}`);
+  } catch {
+    return [];
+  }
+  const equality = [];
+  const range = [];
+  walkAst(ast, (type, node) => {
+    if (type !== 'A_Expr') {
+      return;
+    }
+    const operator = node.name?.[node.name.length - 1]?.String?.sval;
+    let target = null;
+    // IN lists are deparsed as "= ANY (array)"
+    if (node.kind === 'AEXPR_IN' || (['AEXPR_OP', 'AEXPR_OP_ANY'].includes(node.kind) && EQUALITY_OPERATORS.has(operator))) {
+      target = equality;
+    } else if (node.kind === 'AEXPR_BETWEEN' || (node.kind === 'AEXPR_OP' && RANGE_OPERATORS.has(operator))) {
+      target = range;
+    }
+    const column = filterColumn(node.lexpr) ?? (node.kind === 'AEXPR_OP' ? filterColumn(node.rexpr) : null);
+    if (target && column && !equality.includes(column) && !range.includes(column)) {
+      target.push(column);
+    }
+  });
+  // Only the first range column can use a btree index after the equalities
+  return [...equality, ...range.slice(0, 1)];
+}
+
+// Sequential scans of tables with at least largeTableRows rows, and an index
+// for each one whose filter keeps a small share of the table
+async function seqScanFindings(db, nodes, analyzed) {
+  const seqScans = nodes.filter(({ plan }) => plan['Node Type'] === 'Seq Scan' && relationOf(plan));
+  const relations = await scannedRelations(db, seqScans);
+
+  const scans = [];
+  const suggestions = [];
+  for (const { entry, plan } of seqScans) {
+    const { schema, table } = relationOf(plan);
+    const relation = relations.get(`${schema}.${table}`);
+    const removed = plan['Rows Removed by Filter'];
+    // Tables never analyzed have no estimate; with analyze the scan itself counted them
+    const tableRows = relation && relation.row_estimate !== null ? Number(relation.row_estimate) :
+      (analyzed && entry.loops ? entry.actual_rows + (removed ?? 0) : null);
+    if (tableRows === null || tableRows < explainLimits.largeTableRows) {
+      continue;
+    }
+    const returnedRows = analyzed && entry.loops ? entry.actual_rows : entry.estimated_rows;
+    scans.push({
+      table: `${schema}.${table}`,
+      table_rows: tableRows,
+      returned_rows: returnedRows,
+      ...(plan['Filter'] ? { filter: plan['Filter'] } : {}),
+      ...(removed !== undefined ? { rows_removed_by_filter: removed } : {}),
+    });
+
+    if (!plan['Filter'] || returnedRows / tableRows > INDEX_SELECTIVITY) {
+      continue;
+    }
+    const columns = await filterColumns(plan['Filter']);
+    if (columns.length === 0 || relation?.leading_index_columns.includes(columns[0])) {
+      continue;
+    }
+    const q = await quoteIdentifiers(db, [schema, table, ...columns]);
+    suggestions.push({
+      table: `${schema}.${table}`,
+      columns,
+      reason: `Seq Scan reads ~${tableRows} rows to return ~${returnedRows} (filter: ${plan['Filter']})`,
+      statement: `CREATE INDEX ON ${q.get(schema)}.${q.get(table)} (${columns.map(c => q.get(c)).join(', ')});`,
+    });
+  }
+  return { scans, suggestions };
+}
+
+export async function summarizePlan(db, explained, analyzed) {
+  const root = explained['Plan'];
+  const nodes = flattenPlan(root, analyzed);
+  const timeKey = analyzed ? 'self_time_ms' : 'self_cost';
+  const { scans, suggestions } = await seqScanFindings(db, nodes, analyzed);
+
+  return {
+    total_cost: root['Total Cost'],
+    startup_cost: root['Startup Cost'],
+    rows: {
+      estimated: root['Plan Rows'],
+      ...(analyzed ? { actual: root['Actual Rows'] } : {}),
+    },
+    ...(explained['Planning Time'] !== undefined ? { planning_time_ms: explained['Planning Time'] } : {}),
+    ...(explained['Execution Time'] !== undefined ? { execution_time_ms: explained['Execution Time'] } : {}),
+    ...(analyzed && root['Shared Hit Blocks'] !== undefined ? {
+      buffers: { shared_hit: root['Shared Hit Blocks'], shared_read: root['Shared Read Blocks'] },
+    } : {}),
+    most_expensive_nodes: nodes
+      .map(({ entry }) => entry)
+      .sort((a, b) => b[timeKey] - a[timeKey])
+      .slice(0, TOP_NODES),
+    ...(analyzed ? { row_misestimates: rowMisestimates(nodes) } : {}),
+    seq_scans_on_large_tables: scans,
+    index_suggestions: suggestions,
+  };
+}
+
+export async function callExplainTool(args = {}, { principal = null, audit = {} } = {}) {
+  const { sql } = args;
+  const analyzed = args.analyze === true;
+
+  // Parse the statement and reject anything that is not a plain read
+  const { statementType, ast } = await assertReadOnlySql(sql);
+  if (statementType !== 'SelectStmt') {
+    throw new SqlRejectedError('statement_not_allowed', 'explain_query takes a SELECT query (including WITH, VALUES and TABLE)',
+      { statement: statementType });
+  }
+  const { name: database, pool } = getDatabase(args.database);
+  await assertSqlAllowed(pool, ast, principal);
+  const options = analyzed ? 'FORMAT JSON, VERBOSE, ANALYZE, BUFFERS' : 'FORMAT JSON, VERBOSE';
+  // The classifier guarantees a single SELECT, so it is safe to prepend
+  const explainSql = `EXPLAIN (${options})\n${sql}`;
+  audit.sql = explainSql;
+
+  try {
+    const data = await withReadOnlyTransaction(pool, { statementTimeoutMs: args.timeout_ms }, async client => {
+      const result = await client.query(explainSql);
+      const value = result.rows[0]['QUERY PLAN'];
+      const plan = typeof value === 'string' ? JSON.parse(value) : value;
+      return {
+        database,
+        analyzed,
+        summary: await summarizePlan(client, plan[0], analyzed),
+        plan,
+      };
+    });
+
+    return {
+      content: [{ type: "text", text: JSON.stringify(data, null, 2) }],
+      isError: false,
+    };
+  } catch (error) {
+    if (error instanceof RpcError) {
+      throw error;
+    }
+    audit.error = error;
+    log.error('Explain failed', { error });
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error explaining query: ${error instanceof Error ? error.message : 'Unknown error'}`
+        }
+      ],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,141 @@
+// Result formats for the query tool
+// json     - compact columnar JSON: {"columns":[...],"rows":[[...]],...}
+// csv      - RFC 4180 CSV, header cells "name (type)", NULL as an empty unquoted field
+// markdown - GitHub table, header cells "name (type)", NULL as NULL
+// ndjson   - one {"columns":[...]} header line, then one JSON object per row
+// geojson  - FeatureCollection, one Feature per row with a geometry/geography
+//            column as its geometry and the other columns as properties
+// Text formats carry paging metadata in a second content block.
+
+import { normalizeValue } from "./types.js";
+import { SPATIAL_TYPES } from "./geometry.js";
+import { InvalidParamsError } from "./errors.js";
+
+export const RESULT_FORMATS = ['json', 'csv', 'markdown', 'ndjson', 'geojson'];
+
+// Scalars are written as-is, arrays and json values as JSON text
+function cellText(value) {
+  if (value === null) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function csvCell(value) {
+  const text = cellText(value);
+  if (text === null) {
+    return '';
+  }
+  if (text === '' || /[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+export function markdownCell(value) {
+  const text = cellText(value);
+  if (text === null) {
+    return 'NULL';
+  }
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+// Object keys for ndjson rows; repeated column names get a _2, _3 ... suffix
+function uniqueKeys(columns) {
+  const seen = new Map();
+  return columns.map(({ name }) => {
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count === 1 ? name : `${name}_${count}`;
+  });
+}
+
+function headerLabel(column) {
+  return `${column.name} (${column.type})`;
+}
+
+// Index of the feature geometry: the named column, else the first
+// geometry/geography column (-1 when the result has none)
+function geometryColumnIndex(columns, geometryColumn) {
+  if (geometryColumn === undefined) {
+    return columns.findIndex(column => SPATIAL_TYPES.has(column.type));
+  }
+  const index = columns.findIndex(column => column.name === geometryColumn);
+  if (index === -1 || !SPATIAL_TYPES.has(columns[index].type)) {
+    throw new InvalidParamsError(`geometry_column ${geometryColumn} is not a geometry or geography column of the result`,
+      { argument: 'geometry_column' });
+  }
+  return index;
+}
+
+// columns: [{ name, type }], rows: arrays (rowMode 'array'), meta: paging metadata,
+// geometryColumn: feature geometry for geojson (default: the first spatial column)
+export function formatResult(format, { columns, rows, meta, geometryColumn }) {
+  const values = rows.map(row => row.map((value, i) => normalizeValue(value, columns[i].type)));
+
+  switch (format) {
+    case 'json':
+      return [
+        { type: "text", text: JSON.stringify({ columns, rows: values, ...meta }) },
+      ];
+
+    case 'csv': {
+      const lines = [columns.map(column => csvCell(headerLabel(column))).join(',')];
+      for (const row of values) {
+        lines.push(row.map(csvCell).join(','));
+      }
+      return [
+        { type: "text", text: lines.join('\n') },
+        { type: "text", text: JSON.stringify(meta) },
+      ];
+    }
+
+    case 'markdown': {
+      const lines = [
+        '| ' + columns.map(column => markdownCell(headerLabel(column))).join(' | ') + ' |',
+        '|' + columns.map(() => ' --- |').join(''),
+      ];
+      for (const row of values) {
+        lines.push('| ' + row.map(markdownCell).join(' | ') + ' |');
+      }
+      return [
+        { type: "text", text: lines.join('\n') },
+        { type: "text", text: JSON.stringify(meta) },
+      ];
+    }
+
+    case 'ndjson': {
+      const keys = uniqueKeys(columns);
+      const lines = [JSON.stringify({ columns })];
+      for (const row of values) {
+        lines.push(JSON.stringify(Object.fromEntries(keys.map((key, i) => [key, row[i]]))));
+      }
+      return [
+        { type: "text", text: lines.join('\n') },
+        { type: "text", text: JSON.stringify(meta) },
+      ];
+    }
+
+    case 'geojson': {
+      const keys = uniqueKeys(columns);
+      const geometryIndex = geometryColumnIndex(columns, geometryColumn);
+      const features = values.map(row => ({
+        type: "Feature",
+        geometry: geometryIndex === -1 ? null : row[geometryIndex],
+        properties: Object.fromEntries(keys
+          .map((key, i) => [key, row[i]])
+          .filter((_, i) => i !== geometryIndex)),
+      }));
+      return [
+        { type: "text", text: JSON.stringify({ type: "FeatureCollection", columns, features }) },
+        { type: "text", text: JSON.stringify(meta) },
+      ];
+    }
+
+    default:
+      throw new Error(`Unknown result format: ${format}`);
+  }
+}
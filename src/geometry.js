@@ -0,0 +1,123 @@
+// PostGIS values in query results
+// geometry and geography columns arrive as hex EWKB text. They are decoded
+// here into GeoJSON geometry objects; a geometry whose SRID is neither 4326
+// (the GeoJSON default) nor unknown keeps it in an "srid" member. Z values are
+// kept, M values dropped, curved types are left as hex.
+
+// Type names (from pg_type, see types.js) decoded as geometries
+export const SPATIAL_TYPES = new Set(['geometry', 'geography']);
+
+const WKB_TYPES = {
+  1: 'Point',
+  2: 'LineString',
+  3: 'Polygon',
+  4: 'MultiPoint',
+  5: 'MultiLineString',
+  6: 'MultiPolygon',
+  7: 'GeometryCollection',
+};
+
+const EWKB_Z = 0x80000000;
+const EWKB_M = 0x40000000;
+const EWKB_SRID = 0x20000000;
+
+class WkbReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  byte() {
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  uint32(littleEndian) {
+    const value = littleEndian ? this.buffer.readUInt32LE(this.offset) : this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  double(littleEndian) {
+    const value = littleEndian ? this.buffer.readDoubleLE(this.offset) : this.buffer.readDoubleBE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+}
+
+function readGeometry(reader) {
+  const littleEndian = reader.byte() === 1;
+  const header = reader.uint32(littleEndian);
+  let hasZ = (header & EWKB_Z) !== 0;
+  let hasM = (header & EWKB_M) !== 0;
+  const srid = (header & EWKB_SRID) !== 0 ? reader.uint32(littleEndian) : null;
+
+  // ISO WKB flags dimensions as 1000 (Z), 2000 (M) and 3000 (ZM) instead
+  let code = header & 0x0fffffff;
+  if (code >= 1000) {
+    const dimensions = Math.floor(code / 1000);
+    hasZ = dimensions === 1 || dimensions === 3;
+    hasM = dimensions === 2 || dimensions === 3;
+    code %= 1000;
+  }
+  const type = WKB_TYPES[code];
+  if (!type) {
+    throw new Error(`unsupported WKB geometry type ${code}`);
+  }
+
+  const point = () => {
+    const coordinates = [reader.double(littleEndian), reader.double(littleEndian)];
+    if (hasZ) {
+      coordinates.push(reader.double(littleEndian));
+    }
+    if (hasM) {
+      reader.double(littleEndian);
+    }
+    return coordinates;
+  };
+  const points = () => Array.from({ length: reader.uint32(littleEndian) }, point);
+  const parts = () => Array.from({ length: reader.uint32(littleEndian) }, () => readGeometry(reader).geometry);
+
+  let geometry;
+  switch (type) {
+    case 'Point': {
+      const coordinates = point();
+      // POINT EMPTY is written as NaN coordinates
+      geometry = { type, coordinates: coordinates.every(Number.isNaN) ? [] : coordinates };
+      break;
+    }
+    case 'LineString':
+      geometry = { type, coordinates: points() };
+      break;
+    case 'Polygon':
+      geometry = { type, coordinates: Array.from({ length: reader.uint32(littleEndian) }, points) };
+      break;
+    case 'GeometryCollection':
+      geometry = { type, geometries: parts() };
+      break;
+    default:
+      geometry = { type, coordinates: parts().map(part => part.coordinates) };
+  }
+  return { geometry, srid };
+}
+
+// Hex EWKB -> GeoJSON geometry object
+export function ewkbToGeoJson(hex) {
+  const { geometry, srid } = readGeometry(new WkbReader(Buffer.from(hex, 'hex')));
+  if (srid !== null && srid !== 0 && srid !== 4326) {
+    geometry.srid = srid;
+  }
+  return geometry;
+}
+
+// GeoJSON geometry for a geometry/geography value, the raw text when it
+// cannot be decoded
+export function decodeGeometry(value) {
+  if (typeof value !== 'string' || !/^[0-9a-fA-F]+$/.test(value)) {
+    return value;
+  }
+  try {
+    return ewkbToGeoJson(value);
+  } catch {
+    return value;
+  }
+}
@@ -0,0 +1,221 @@
+// HTTP front end for the "http", "https" and "sse" transports
+// Every variant serves Streamable HTTP on /mcp plus /health, /metrics and /; "https"
+// adds TLS and "sse" adds the legacy /sse and /sse/message endpoints.
+
+import * as http from "http";
+import * as https from "https";
+import * as fs from "fs";
+import * as url from "url";
+import { handleMessage, handlePayload, listTools, onToolsChanged } from "./mcp_core.js";
+import { handleStreamableHttp, notifySessions, activeSessionCount, closeAllSessions } from "./streamable_http.js";
+import { handleSseConnect, handleSseMessage, notifySseSessions, sseSessionCount, closeAllSseSessions } from "./sse_transport.js";
+import { listDatabases, defaultDatabaseName, checkDatabases } from "./databases.js";
+import { authorizeRequest, ForbiddenError } from "./auth.js";
+import { auditSettings } from "./audit.js";
+import { quotaUsage } from "./quotas.js";
+import { toJsonRpcError } from "./errors.js";
+import { renderMetrics, METRICS_CONTENT_TYPE } from "./metrics.js";
+import { log, withLogContext, requestIdFor, REQUEST_ID_HEADER } from "./logger.js";
+
+const SSL_KEY_PATH = process.env.SSL_KEY_PATH || 'server.key';
+const SSL_CERT_PATH = process.env.SSL_CERT_PATH || 'server.crt';
+const SSL_CA_PATH = process.env.SSL_CA_PATH; // 可选的中间证书
+
+// 检查SSL证书文件是否存在
+function checkSSLFiles() {
+  try {
+    if (!fs.existsSync(SSL_KEY_PATH)) {
+      throw new Error(`SSL key file not found: ${SSL_KEY_PATH}`);
+    }
+    if (!fs.existsSync(SSL_CERT_PATH)) {
+      throw new Error(`SSL certificate file not found: ${SSL_CERT_PATH}`);
+    }
+    return true;
+  } catch (error) {
+    log.error('SSL file check failed', { error });
+    return false;
+  }
+}
+
+// 创建服务器选项
+function createServerOptions() {
+  if (!checkSSLFiles()) {
+    log.warn('SSL files not found, falling back to HTTP mode');
+    return null;
+  }
+
+  try {
+    const options = {
+      key: fs.readFileSync(SSL_KEY_PATH),
+      cert: fs.readFileSync(SSL_CERT_PATH)
+    };
+
+    // 如果有中间证书链，添加它
+    if (SSL_CA_PATH && fs.existsSync(SSL_CA_PATH)) {
+      options.ca = fs.readFileSync(SSL_CA_PATH);
+    }
+
+    return options;
+  } catch (error) {
+    log.error('Failed to read SSL files, falling back to HTTP mode', { error });
+    return null;
+  }
+}
+
+function createRequestHandler({ protocol, legacySse }) {
+  const endpoints = {
+    mcp: "/mcp",
+    health: "/health",
+    metrics: "/metrics",
+    quotas: "/admin/quotas",
+    ...(legacySse ? { sse: "/sse", sseMessage: "/sse/message" } : {}),
+  };
+
+  // 请求处理函数: every request is logged under its id, which is returned in X-Request-Id
+  return function handleRequest(req, res) {
+    const requestId = requestIdFor(req);
+    res.setHeader(REQUEST_ID_HEADER, requestId);
+    return withLogContext({ request_id: requestId }, () => routeRequest(req, res));
+  };
+
+  async function routeRequest(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', `Content-Type, Accept, Authorization, X-API-Key, Mcp-Session-Id, ${REQUEST_ID_HEADER}`);
+    res.setHeader('Access-Control-Expose-Headers', `Mcp-Session-Id, ${REQUEST_ID_HEADER}`);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
+
+    const parsedUrl = url.parse(req.url || '', true);
+
+    // MCP Streamable HTTP endpoint (POST messages, GET stream, DELETE session)
+    if (parsedUrl.pathname === '/mcp') {
+      if (!authorizeRequest(req, res)) {
+        return;
+      }
+      await handleStreamableHttp(req, res, handleMessage);
+    } else if (legacySse && parsedUrl.pathname === '/sse' && req.method === 'GET') {
+      if (!authorizeRequest(req, res)) {
+        return;
+      }
+      handleSseConnect(req, res);
+    } else if (legacySse && parsedUrl.pathname === '/sse/message' && req.method === 'POST') {
+      if (!authorizeRequest(req, res)) {
+        return;
+      }
+      handleSseMessage(req, res, parsedUrl.query.sessionId, handlePayload);
+    } else if (parsedUrl.pathname === '/health' && req.method === 'GET') {
+      // Test every database connection; only the default one decides healthy/unhealthy
+      const databases = await checkDatabases();
+      const defaultConnected = databases[defaultDatabaseName()] === 'connected';
+      const allConnected = Object.values(databases).every(status => status === 'connected');
+
+      res.setHeader('Content-Type', 'application/json');
+      res.writeHead(defaultConnected ? 200 : 503);
+      res.end(JSON.stringify({
+        status: !defaultConnected ? 'unhealthy' : (allConnected ? 'healthy' : 'degraded'),
+        server: 'mcp-postgres-mapai',
+        databases,
+        protocol,
+        timestamp: new Date().toISOString()
+      }));
+    } else if (parsedUrl.pathname === '/metrics' && req.method === 'GET') {
+      // Prometheus text exposition format
+      res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+      res.writeHead(200);
+      res.end(renderMetrics({
+        sessions: {
+          streamable_http: activeSessionCount(),
+          ...(legacySse ? { sse: sseSessionCount() } : {}),
+        },
+      }));
+    } else if (parsedUrl.pathname === '/admin/quotas' && req.method === 'GET') {
+      // Per-client rate limit and concurrency usage, for admins only
+      if (!authorizeRequest(req, res)) {
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      if (!req.principal.roles.includes(auditSettings.adminRole)) {
+        const error = new ForbiddenError(`/admin/quotas requires the "${auditSettings.adminRole}" role`, { role: auditSettings.adminRole });
+        res.writeHead(403);
+        res.end(JSON.stringify({ jsonrpc: "2.0", id: null, error: toJsonRpcError(error) }));
+        return;
+      }
+      res.writeHead(200);
+      res.end(JSON.stringify({ ...quotaUsage(), timestamp: new Date().toISOString() }, null, 2));
+    } else if (parsedUrl.pathname === '/' && req.method === 'GET') {
+      // Simple info page
+      res.setHeader('Content-Type', 'application/json');
+      res.writeHead(200);
+      res.end(JSON.stringify({
+        name: "MapAI PostgreSQL MCP Server",
+        version: "0.1.0",
+        protocol,
+        endpoints,
+        transport: legacySse ? "Streamable HTTP (2025-03-26) + legacy HTTP+SSE" : "Streamable HTTP (2025-03-26)",
+        activeSessions: activeSessionCount() + sseSessionCount(),
+        tools: listTools().map(tool => tool.name),
+        databases: listDatabases().map(db => db.name),
+        defaultDatabase: defaultDatabaseName(),
+        timestamp: new Date().toISOString()
+      }, null, 2));
+    } else {
+      res.setHeader('Content-Type', 'application/json');
+      res.writeHead(404);
+      res.end(JSON.stringify({error: 'Not Found', path: parsedUrl.pathname}));
+    }
+  }
+}
+
+// Starts listening for transport "http", "https" or "sse". If the port is
+// busy the next ones are tried. Resolves to { server, port, protocol, scheme }.
+export async function startHttpServer({ transport, port }) {
+  // HTTPS without usable certificate files falls back to HTTP
+  const sslOptions = transport === 'https' ? createServerOptions() : null;
+  const protocol = sslOptions ? 'HTTPS' : 'HTTP';
+  const handleRequest = createRequestHandler({ protocol, legacySse: transport === 'sse' });
+
+  // Named queries can come and go while clients are connected
+  onToolsChanged(() => {
+    notifySessions('notifications/tools/list_changed');
+    notifySseSessions('notifications/tools/list_changed');
+  });
+
+  // 创建服务器（HTTP或HTTPS）
+  const appServer = sslOptions
+    ? https.createServer(sslOptions, handleRequest)
+    : http.createServer(handleRequest);
+
+  // Function to try starting server on a port
+  const tryPort = (portToTry) => {
+    return new Promise((resolve, reject) => {
+      const server = appServer.listen(portToTry, '0.0.0.0', () => {
+        resolve(portToTry);
+      });
+
+      server.once('error', (err) => {
+        if (err.code === 'EADDRINUSE') {
+          log.warn(`Port ${portToTry} is busy, trying ${portToTry + 1}`);
+          resolve(tryPort(portToTry + 1));
+        } else {
+          reject(err);
+        }
+      });
+    });
+  };
+
+  const finalPort = await tryPort(port);
+  return { server: appServer, port: finalPort, protocol, scheme: sslOptions ? 'https' : 'http' };
+}
+
+// Ends every open session and stops accepting connections
+export function stopHttpServer(server) {
+  closeAllSseSessions();
+  closeAllSessions();
+  return new Promise(resolve => server.close(() => resolve()));
+}
@@ -0,0 +1,296 @@
+// Schema introspection tools: list_schemas, list_tables, describe_table
+// All queries read pg_catalog directly so they work for any role that can
+// connect, and every user supplied value is passed as a bind parameter.
+
+import { withReadOnlyTransaction } from "./executor.js";
+import { getDatabase, databaseArgument } from "./databases.js";
+import { schemaVisible, relationAllowed, assertRelationAllowed } from "./access_policy.js";
+import { RpcError, InvalidParamsError } from "./errors.js";
+import { log } from "./logger.js";
+
+const SYSTEM_SCHEMA_FILTER = `
+  n.nspname NOT IN ('pg_catalog', 'information_schema', 'pg_toast')
+  AND n.nspname NOT LIKE 'pg_temp_%'
+  AND n.nspname NOT LIKE 'pg_toast_temp_%'
+`;
+
+const RELKIND_NAMES = {
+  r: 'table',
+  p: 'partitioned table',
+  v: 'view',
+  m: 'materialized view',
+  f: 'foreign table',
+};
+
+const FK_ACTIONS = {
+  a: 'NO ACTION',
+  r: 'RESTRICT',
+  c: 'CASCADE',
+  n: 'SET NULL',
+  d: 'SET DEFAULT',
+};
+
+export const introspectionTools = [
+  {
+    name: "list_schemas",
+    description: "List the schemas in a database with their owners, comments and table counts",
+    inputSchema: {
+      type: "object",
+      properties: {
+        database: databaseArgument,
+        include_system: {
+          type: "boolean",
+          description: "Include pg_catalog, information_schema and other system schemas (default false)"
+        },
+      },
+    },
+  },
+  {
+    name: "list_tables",
+    description: "List tables, views and materialized views with estimated row counts and comments",
+    inputSchema: {
+      type: "object",
+      properties: {
+        database: databaseArgument,
+        schema: {
+          type: "string",
+          description: "Only list relations in this schema (default: all non-system schemas)"
+        },
+      },
+    },
+  },
+  {
+    name: "describe_table",
+    description: "Describe a table or view: columns, types, nullability, defaults, primary and foreign keys, indexes and comments",
+    inputSchema: {
+      type: "object",
+      properties: {
+        database: databaseArgument,
+        table: {
+          type: "string",
+          description: "Table name, optionally schema-qualified (e.g. \"app.users\")"
+        },
+        schema: {
+          type: "string",
+          description: "Schema of the table (default: public, ignored if table is schema-qualified)"
+        },
+      },
+      required: ["table"],
+    },
+  },
+];
+
+export function isIntrospectionTool(name) {
+  return introspectionTools.some(tool => tool.name === name);
+}
+
+export async function listSchemas(db, { includeSystem = false } = {}) {
+  const result = await db.query(`
+    SELECT n.nspname AS schema,
+           pg_get_userbyid(n.nspowner) AS owner,
+           obj_description(n.oid, 'pg_namespace') AS comment,
+           (SELECT count(*)::int FROM pg_class c
+             WHERE c.relnamespace = n.oid AND c.relkind IN ('r', 'p', 'v', 'm', 'f')) AS table_count
+      FROM pg_namespace n
+     WHERE $1::boolean OR (${SYSTEM_SCHEMA_FILTER})
+     ORDER BY n.nspname
+  `, [includeSystem]);
+  return result.rows;
+}
+
+export async function listTables(db, { schema } = {}) {
+  const result = await db.query(`
+    SELECT n.nspname AS schema,
+           c.relname AS name,
+           c.relkind AS kind,
+           CASE WHEN c.reltuples < 0 THEN NULL ELSE c.reltuples::bigint END AS row_estimate,
+           obj_description(c.oid, 'pg_class') AS comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f')
+       AND NOT c.relispartition
+       AND ($1::text IS NULL AND (${SYSTEM_SCHEMA_FILTER}) OR n.nspname = $1)
+     ORDER BY n.nspname, c.relname
+  `, [schema ?? null]);
+
+  return result.rows.map(({ kind, row_estimate, ...row }) => ({
+    ...row,
+    type: RELKIND_NAMES[kind],
+    row_estimate: row_estimate === null ? null : Number(row_estimate),
+  }));
+}
+
+// Splits "schema.table" into its parts; quoted identifiers keep their case.
+// A malformed name is an invalid value of the tool or prompt argument named.
+export function parseTableName(table, defaultSchema = 'public', argument = 'table') {
+  const parts = [];
+  const pattern = /\s*(?:"((?:[^"]|"")*)"|([^".\s]+))\s*(\.|$)/y;
+  let match;
+  while (pattern.lastIndex < table.length && (match = pattern.exec(table))) {
+    parts.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].toLowerCase());
+    if (match[3] === '') break;
+  }
+  if (parts.length === 0 || parts.length > 2 || pattern.lastIndex < table.length || /\.\s*$/.test(table)) {
+    throw new InvalidParamsError(`Invalid table name: ${table}`, { argument });
+  }
+  return parts.length === 2
+    ? { schema: parts[0], table: parts[1] }
+    : { schema: defaultSchema, table: parts[0] };
+}
+
+export async function describeTable(db, schema, table) {
+  const relation = await db.query(`
+    SELECT c.oid, c.relkind,
+           CASE WHEN c.reltuples < 0 THEN NULL ELSE c.reltuples::bigint END AS row_estimate,
+           obj_description(c.oid, 'pg_class') AS comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND c.relname = $2
+       AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+  `, [schema, table]);
+
+  if (relation.rowCount === 0) {
+    return null;
+  }
+  const { oid, relkind, row_estimate, comment } = relation.rows[0];
+
+  const [columns, constraints, indexes] = await Promise.all([
+    db.query(`
+      SELECT a.attname AS name,
+             format_type(a.atttypid, a.atttypmod) AS type,
+             NOT a.attnotnull AS nullable,
+             pg_get_expr(d.adbin, d.adrelid) AS default,
+             col_description(a.attrelid, a.attnum) AS comment
+        FROM pg_attribute a
+        LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+       WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+       ORDER BY a.attnum
+    `, [oid]),
+    db.query(`
+      SELECT con.conname AS name,
+             con.contype AS type,
+             ARRAY(SELECT a.attname FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+                     JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+                    ORDER BY k.ord)::text[] AS columns,
+             fn.nspname AS foreign_schema,
+             fc.relname AS foreign_table,
+             ARRAY(SELECT a.attname FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+                     JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+                    ORDER BY k.ord)::text[] AS foreign_columns,
+             con.confupdtype AS on_update,
+             con.confdeltype AS on_delete
+        FROM pg_constraint con
+        LEFT JOIN pg_class fc ON fc.oid = con.confrelid
+        LEFT JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+       WHERE con.conrelid = $1 AND con.contype IN ('p', 'f')
+       ORDER BY con.conname
+    `, [oid]),
+    db.query(`
+      SELECT ic.relname AS name,
+             pg_get_indexdef(i.indexrelid) AS definition,
+             i.indisunique AS unique,
+             i.indisprimary AS primary
+        FROM pg_index i
+        JOIN pg_class ic ON ic.oid = i.indexrelid
+       WHERE i.indrelid = $1
+       ORDER BY ic.relname
+    `, [oid]),
+  ]);
+
+  const primaryKey = constraints.rows.find(con => con.type === 'p');
+
+  return {
+    schema,
+    table,
+    type: RELKIND_NAMES[relkind],
+    comment,
+    row_estimate: row_estimate === null ? null : Number(row_estimate),
+    columns: columns.rows,
+    primary_key: primaryKey ? { name: primaryKey.name, columns: primaryKey.columns } : null,
+    foreign_keys: constraints.rows
+      .filter(con => con.type === 'f')
+      .map(con => ({
+        name: con.name,
+        columns: con.columns,
+        references: {
+          schema: con.foreign_schema,
+          table: con.foreign_table,
+          columns: con.foreign_columns,
+        },
+        on_update: FK_ACTIONS[con.on_update],
+        on_delete: FK_ACTIONS[con.on_delete],
+      })),
+    indexes: indexes.rows,
+  };
+}
+
+// Dispatches an introspection tool call inside a read-only transaction and
+// wraps the result as MCP content; only what principal's access policy
+// allows is shown
+export async function callIntrospectionTool(name, args = {}, { principal = null, audit = {} } = {}) {
+  if (!isIntrospectionTool(name)) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+  if (name === "describe_table" && (!args.table || typeof args.table !== 'string')) {
+    throw new InvalidParamsError("Table name is required", { argument: 'table' });
+  }
+  if (args.schema !== undefined && typeof args.schema !== 'string') {
+    throw new InvalidParamsError("Schema must be a string", { argument: 'schema' });
+  }
+  const { pool } = getDatabase(args.database);
+
+  try {
+    let notFound = null;
+    const data = await withReadOnlyTransaction(pool, {}, async client => {
+      switch (name) {
+        case "list_schemas":
+          return {
+            schemas: (await listSchemas(client, { includeSystem: args.include_system === true }))
+              .filter(row => schemaVisible(principal, row.schema)),
+          };
+
+        case "list_tables":
+          return {
+            tables: (await listTables(client, { schema: args.schema }))
+              .filter(row => relationAllowed(principal, row.schema, row.name)),
+          };
+
+        case "describe_table": {
+          const { schema, table } = parseTableName(args.table, args.schema || 'public');
+          assertRelationAllowed(principal, schema, table);
+          const description = await describeTable(client, schema, table);
+          if (!description) {
+            notFound = `${schema}.${table}`;
+          }
+          return description;
+        }
+      }
+    });
+
+    if (notFound) {
+      return {
+        content: [{ type: "text", text: `Table not found: ${notFound}` }],
+        isError: true,
+      };
+    }
+    return {
+      content: [{ type: "text", text: JSON.stringify(data, null, 2) }],
+      isError: false,
+    };
+  } catch (error) {
+    if (error instanceof RpcError) {
+      throw error;
+    }
+    audit.error = error;
+    log.error('Introspection failed', { tool: name, error });
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error executing ${name}: ${error instanceof Error ? error.message : 'Unknown error'}`
+        }
+      ],
+      isError: true,
+    };
+  }
+}
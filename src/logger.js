@@ -0,0 +1,206 @@
+// Structured logging
+// Every line is one JSON object: time, level, msg, the request_id and
+// session_id of the request being served (see withLogContext) and the fields
+// passed in. Lines go to stdout, or to stderr under the stdio transport.
+// LOG_LEVEL is debug, info (default), warn or error. Values are redacted
+// before they are written: literals in SQL, passwords in connection strings,
+// bearer tokens and JWTs, and fields named like secrets. LOG_BODIES sets how
+// much of each JSON-RPC message is logged: none, summary (default: method,
+// tool, duration and error code) or full (adds the redacted params and result;
+// bind parameters and named query arguments are logged as ?).
+
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const BODY_MODES = ['none', 'summary', 'full'];
+// Longest params/result text written with LOG_BODIES=full
+const BODY_MAX_CHARS = 4096;
+// Client-supplied request ids are kept when they look like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const SECRET_KEY = /pass(word)?|secret|token|api[-_]?key|authorization|cookie|credential|private[-_]?key/i;
+const SQL_KEYS = new Set(['sql', 'query', 'statement', 'filter']);
+const REDACTED = '[REDACTED]';
+
+const SQL_LITERAL = new RegExp([
+  // '...' with '' escapes, optionally E/B/X/N/U& prefixed; unterminated runs to the end
+  /(?:[eEbBxXnN]|[uU]&)?'(?:[^']|'')*(?:'|$)/.source,
+  // $$...$$ and $tag$...$tag$
+  /\$([A-Za-z_][A-Za-z0-9_]*)?\$[\s\S]*?\$\1\$/.source,
+  // numbers that are not part of an identifier or a $n placeholder
+  /(?<![\w$."])(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.source,
+].join('|'), 'g');
+const CONNECTION_PASSWORD = /\b([a-z][a-z0-9+.-]*:\/\/[^:/@\s]+):[^@\s]*@/gi;
+const BEARER = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+const JWT = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+
+function setting(name, allowed, fallback) {
+  const value = process.env[name]?.toLowerCase();
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (!allowed.includes(value)) {
+    process.stderr.write(`Ignoring ${name}=${process.env[name]} (expected one of: ${allowed.join(', ')})\n`);
+    return fallback;
+  }
+  return value;
+}
+
+export const logSettings = {
+  level: setting('LOG_LEVEL', Object.keys(LEVELS), 'info'),
+  bodies: setting('LOG_BODIES', BODY_MODES, 'summary'),
+};
+
+let output = process.stdout;
+
+// stdout belongs to the JSON-RPC stream under the stdio transport
+export function logToStderr() {
+  output = process.stderr;
+}
+
+const context = new AsyncLocalStorage();
+
+// Runs fn with fields (request_id, session_id) added to every line it logs,
+// including lines from anything it awaits
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function logContext() {
+  return context.getStore() ?? {};
+}
+
+// The id of an HTTP request: the client's X-Request-Id when usable, else a new one
+export function requestIdFor(req) {
+  const supplied = req.headers[REQUEST_ID_HEADER.toLowerCase()];
+  return typeof supplied === 'string' && REQUEST_ID_PATTERN.test(supplied) ? supplied : randomUUID();
+}
+
+// SQL with string, dollar-quoted and numeric literals replaced by ?
+export function redactSql(sql) {
+  return sql.replace(SQL_LITERAL, '?');
+}
+
+function redactString(text) {
+  return text
+    .replace(CONNECTION_PASSWORD, `$1:${REDACTED}@`)
+    .replace(BEARER, `$1 ${REDACTED}`)
+    .replace(JWT, REDACTED);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    // pg errors carry their SQLSTATE, RpcErrors their JSON-RPC code
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(logSettings.level === 'debug' && error.stack ? { stack: error.stack } : {}),
+  };
+}
+
+// A copy of value that is safe to log
+export function redact(value, key = null, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    if (key !== null && SECRET_KEY.test(key)) {
+      return REDACTED;
+    }
+    return redactString(key !== null && SQL_KEYS.has(key) ? redactSql(value) : value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  if (value instanceof Error) {
+    return redact(serializeError(value), key, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, key, seen));
+  }
+  const copy = {};
+  for (const [name, item] of Object.entries(value)) {
+    copy[name] = item !== null && typeof item !== 'object' && SECRET_KEY.test(name) ? REDACTED : redact(item, name, seen);
+  }
+  return copy;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < LEVELS[logSettings.level]) {
+    return;
+  }
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(msg),
+    ...logContext(),
+    ...redact(fields ?? {}),
+  };
+  output.write(JSON.stringify(line) + '\n');
+}
+
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+// Text of a message body for LOG_BODIES=full, cut at BODY_MAX_CHARS
+function bodyText(value) {
+  const text = JSON.stringify(redact(value));
+  return text.length > BODY_MAX_CHARS ? `${text.slice(0, BODY_MAX_CHARS)}...` : text;
+}
+
+// Bind values are user data, like SQL literals: only their shape is logged
+function redactValues(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactValues);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactValues(item)]));
+  }
+  return value === null ? null : '?';
+}
+
+// The params of message as logged: a tool call's "params" argument, or all of
+// its arguments when bindArguments says the tool binds them into SQL (named queries)
+function loggedParams(message, bindArguments) {
+  const params = message?.params ?? null;
+  const args = params?.arguments;
+  if (message?.method !== 'tools/call' || !args || typeof args !== 'object') {
+    return params;
+  }
+  if (bindArguments) {
+    return { ...params, arguments: redactValues(args) };
+  }
+  return 'params' in args ? { ...params, arguments: { ...args, params: redactValues(args.params) } } : params;
+}
+
+// One line per handled JSON-RPC message, as LOG_BODIES asks
+export function logMessage(message, response, durationMs, { bindArguments = false } = {}) {
+  if (logSettings.bodies === 'none') {
+    return;
+  }
+  const method = typeof message?.method === 'string' ? message.method : null;
+  const fields = {
+    method,
+    ...(message?.id !== undefined ? { rpc_id: message.id } : {}),
+    ...(method === 'tools/call' || method === 'prompts/get' ? { name: message.params?.name } : {}),
+    ...(method === 'resources/read' ? { uri: message.params?.uri } : {}),
+    duration_ms: durationMs,
+    ...(response?.error ? { error_code: response.error.code, error: response.error.message } : {}),
+    ...(response?.result?.isError ? { tool_error: true } : {}),
+  };
+  if (logSettings.bodies === 'full') {
+    fields.params = bodyText(loggedParams(message, bindArguments));
+    if (response?.result !== undefined) {
+      fields.result = bodyText(response.result);
+    }
+  }
+  log.info(method ? `Handled ${method}` : 'Handled invalid message', fields);
+}
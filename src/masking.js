@@ -0,0 +1,283 @@
+// Column masking policies
+// MASKING_POLICY_FILE holds rules that rewrite the values of sensitive columns
+// in every result a client sees (query, named queries, spatial tools, sample
+// resources):
+//   { "rules": [
+//       { "columns": ["app.users.email", "*.*.phone*"], "mask": "hash" },
+//       { "columns": ["app.users.name"], "mask": "truncate", "length": 1, "exempt_roles": ["admin"] },
+//       { "columns": ["app.places.geom"], "mask": "geometry_precision", "decimals": 2, "roles": ["analyst"] } ] }
+// A column is "schema.table.column", each part an exact name or a pattern
+// with *. Result columns are matched through the table and column the server
+// reports for each field (tableID/columnID), so a column renamed with AS is
+// still masked but an expression computed from one (email || '') is not.
+// The query tool refuses, for callers with masking rules, result columns
+// computed from a masked column (see assertNoDerivedMaskedColumns).
+// A rule applies to everyone, or only to the principals and roles it lists,
+// minus exempt ones; the first rule that matches a column for the caller wins.
+// Masks: redact (replacement, default "[REDACTED]"), hash (SHA-256 hex, or
+// HMAC-SHA-256 keyed by MASKING_HASH_KEY), truncate (keep the first length
+// characters, default 1) and geometry_precision (round coordinates to
+// decimals places, default 2).
+
+import * as fs from "fs";
+import { createHash, createHmac } from "crypto";
+import { normalizeValue, NormalizedValue } from "./types.js";
+import { SPATIAL_TYPES } from "./geometry.js";
+import { withReadOnlyTransaction } from "./executor.js";
+import { walkAst } from "./sql_guard.js";
+import { ForbiddenError, ruleAppliesTo } from "./auth.js";
+
+const MASKS = ['redact', 'hash', 'truncate', 'geometry_precision'];
+const PRINCIPAL_LISTS = ['roles', 'principals', 'exempt_roles', 'exempt_principals'];
+
+// A "schema.table.column" pattern as three regexes
+function columnPattern(pattern, file) {
+  const parts = typeof pattern === 'string' ? pattern.split('.') : [];
+  if (parts.length !== 3 || parts.some(part => part === '')) {
+    throw new Error(`${file}: column pattern ${JSON.stringify(pattern)} is not "schema.table.column"`);
+  }
+  return parts.map(part =>
+    new RegExp(`^${part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+}
+
+function parseRule(rule, i, file) {
+  const where = `${file}: rules[${i}]`;
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+  if (!MASKS.includes(rule.mask)) {
+    throw new Error(`${where}: mask must be one of ${MASKS.join(', ')}`);
+  }
+  if (!Array.isArray(rule.columns) || rule.columns.length === 0) {
+    throw new Error(`${where}: columns must be a non-empty list`);
+  }
+  for (const list of PRINCIPAL_LISTS) {
+    if (rule[list] !== undefined && (!Array.isArray(rule[list]) || !rule[list].every(item => typeof item === 'string'))) {
+      throw new Error(`${where}: ${list} must be a list of names`);
+    }
+  }
+  if (rule.mask === 'truncate' && rule.length !== undefined && (!Number.isInteger(rule.length) || rule.length < 0)) {
+    throw new Error(`${where}: length must be a non-negative integer`);
+  }
+  if (rule.mask === 'geometry_precision' && rule.decimals !== undefined &&
+      (!Number.isInteger(rule.decimals) || rule.decimals < 0 || rule.decimals > 15)) {
+    throw new Error(`${where}: decimals must be an integer from 0 to 15`);
+  }
+  return {
+    ...rule,
+    patterns: rule.columns.map(pattern => columnPattern(pattern, file)),
+  };
+}
+
+// A missing or broken policy stops the server: running without it would
+// hand out the data it protects
+function loadPolicy() {
+  const file = process.env.MASKING_POLICY_FILE;
+  if (!file) {
+    return [];
+  }
+  const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(policy.rules)) {
+    throw new Error(`${file}: "rules" must be a list`);
+  }
+  return policy.rules.map((rule, i) => parseRule(rule, i, file));
+}
+
+const rules = loadPolicy();
+const hashKey = process.env.MASKING_HASH_KEY || null;
+
+export function maskingEnabled() {
+  return rules.length > 0;
+}
+
+// The table column behind each result field as { schema, table, column }
+// (null for computed columns), read on db, the connection that ran the query
+export async function columnSources(db, fields = []) {
+  const origins = fields.filter(field => field.tableID > 0);
+  if (origins.length === 0) {
+    return fields.map(() => null);
+  }
+  const result = await db.query(`
+    SELECT a.attrelid::int AS table_id, a.attnum::int AS column_id,
+           n.nspname AS schema, c.relname AS table, a.attname AS column
+      FROM pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE (a.attrelid, a.attnum) IN (SELECT * FROM unnest($1::oid[], $2::int2[]))
+  `, [origins.map(field => field.tableID), origins.map(field => field.columnID)]);
+  const byField = new Map(result.rows.map(row => [`${row.table_id}.${row.column_id}`, row]));
+  return fields.map(field => {
+    const row = byField.get(`${field.tableID}.${field.columnID}`);
+    return row ? { schema: row.schema, table: row.table, column: row.column } : null;
+  });
+}
+
+function matches(rule, { schema, table, column }) {
+  return rule.patterns.some(([schemaPattern, tablePattern, columnPattern]) =>
+    schemaPattern.test(schema) && tablePattern.test(table) && columnPattern.test(column));
+}
+
+function roundCoordinates(coordinates, factor) {
+  return Array.isArray(coordinates)
+    ? coordinates.map(item => roundCoordinates(item, factor))
+    : Math.round(coordinates * factor) / factor;
+}
+
+function roundGeometry(geometry, factor) {
+  if (!geometry || typeof geometry !== 'object') {
+    return geometry;
+  }
+  if (Array.isArray(geometry.geometries)) {
+    return { ...geometry, geometries: geometry.geometries.map(part => roundGeometry(part, factor)) };
+  }
+  return Array.isArray(geometry.coordinates)
+    ? { ...geometry, coordinates: roundCoordinates(geometry.coordinates, factor) }
+    : geometry;
+}
+
+function valueText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// mask(value) for a rule; values arrive normalized (see types.js) and not null
+function maskFunction(rule) {
+  switch (rule.mask) {
+    case 'redact':
+      return () => ('replacement' in rule ? rule.replacement : '[REDACTED]');
+    case 'hash':
+      return value => (hashKey ? createHmac('sha256', hashKey) : createHash('sha256'))
+        .update(valueText(value))
+        .digest('hex');
+    case 'truncate':
+      return value => [...valueText(value)].slice(0, rule.length ?? 1).join('');
+    case 'geometry_precision': {
+      const factor = 10 ** (rule.decimals ?? 2);
+      return value => roundGeometry(value, factor);
+    }
+  }
+}
+
+// Rows of page ({ columns, sources, rows }) as principal may see them, and
+// the names of the columns that were masked. Masked cells are NormalizedValues
+// so that formatResult does not convert them again.
+export function maskRows(page, principal) {
+  if (!maskingEnabled() || !page.sources) {
+    return { rows: page.rows, masked: [] };
+  }
+  const masks = page.sources.map((source, i) => {
+    const rule = source && rules.find(candidate => matches(candidate, source) && ruleAppliesTo(candidate, principal));
+    if (!rule) {
+      return null;
+    }
+    // Only geometry and geography columns have coordinates to round
+    return rule.mask === 'geometry_precision' && !SPATIAL_TYPES.has(page.columns[i].type) ? null : maskFunction(rule);
+  });
+  if (masks.every(mask => mask === null)) {
+    return { rows: page.rows, masked: [] };
+  }
+  return {
+    rows: page.rows.map(row => row.map((value, i) => {
+      if (masks[i] === null || value === null || value === undefined) {
+        return value;
+      }
+      return new NormalizedValue(masks[i](normalizeValue(value, page.columns[i].type)));
+    })),
+    masked: page.columns.filter((_, i) => masks[i] !== null).map(column => column.name),
+  };
+}
+
+// Column names a node refers to, with "*" for a whole row (alias.*) and the
+// bare names that may be whole-row references (SELECT u FROM users u)
+function referencedNames(node) {
+  const names = new Set();
+  walkAst(node, (type, body) => {
+    if (type === 'ColumnRef') {
+      const fields = body.fields ?? [];
+      const last = fields[fields.length - 1];
+      names.add(last?.A_Star ? '*' : last?.String?.sval);
+    }
+  });
+  return names;
+}
+
+// The target list entry behind result column index when the statement is a
+// plain SELECT over tables, else null (set operations, CTEs, subqueries in
+// FROM and * expansion hide which expression a column came from)
+function targetOf(ast, index) {
+  const select = ast.stmts[0]?.stmt?.SelectStmt;
+  if (!select?.targetList || select.op !== 'SETOP_NONE' || select.withClause) {
+    return null;
+  }
+  const overTables = item => Boolean(item.RangeVar) ||
+    Boolean(item.JoinExpr && overTables(item.JoinExpr.larg) && overTables(item.JoinExpr.rarg));
+  const expandsStar = select.targetList.some(target => referencedNames(target).has('*') &&
+    target.ResTarget?.val?.ColumnRef);
+  if (!(select.fromClause ?? []).every(overTables) || expandsStar) {
+    return null;
+  }
+  return select.targetList[index] ?? null;
+}
+
+// Relations read by the statement as { schema, name, alias }
+function readRelations(ast) {
+  const relations = [];
+  walkAst(ast, (type, node) => {
+    if (type === 'RangeVar' && node.relname) {
+      relations.push({ schema: node.schemaname ?? null, name: node.relname, alias: node.alias?.aliasname ?? node.relname });
+    }
+  });
+  return relations;
+}
+
+// The columns of relations that rules mask for principal, as { columns, relations }:
+// the masked column names, and the names and aliases of the relations holding them
+async function maskedColumnsOf(pool, relations, principal) {
+  const result = await withReadOnlyTransaction(pool, {}, client => client.query(`
+    SELECT r.i, n.nspname AS schema, c.relname AS table, a.attname AS column
+      FROM unnest($1::text[], $2::text[]) WITH ORDINALITY AS r(schema, name, i)
+      JOIN pg_class c ON c.oid = to_regclass(CASE WHEN r.schema IS NULL THEN quote_ident(r.name)
+                                                  ELSE quote_ident(r.schema) || '.' || quote_ident(r.name) END)
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+  `, [relations.map(relation => relation.schema), relations.map(relation => relation.name)]));
+  const columns = new Set();
+  const holders = new Set();
+  for (const row of result.rows) {
+    if (rules.some(rule => matches(rule, row) && ruleAppliesTo(rule, principal))) {
+      const relation = relations[Number(row.i) - 1];
+      columns.add(row.column);
+      holders.add(relation.alias).add(relation.name);
+    }
+  }
+  return { columns, relations: holders };
+}
+
+// Masks follow the table column behind a result column, so a value computed
+// from a masked column (lower(email), a scalar subquery, a UNION) would reach
+// the caller unmasked. Throws ForbiddenError when a result column of page
+// without a table column of its own refers to a column masked for principal,
+// or to a whole row holding one. ast is the parsed statement that produced page.
+export async function assertNoDerivedMaskedColumns(pool, ast, page, principal) {
+  if (!maskingEnabled() || !page.sources || !rules.some(rule => ruleAppliesTo(rule, principal))) {
+    return;
+  }
+  const computed = page.sources.flatMap((source, i) => (source === null ? [i] : []));
+  const relations = readRelations(ast);
+  if (computed.length === 0 || relations.length === 0) {
+    return;
+  }
+  const masked = await maskedColumnsOf(pool, relations, principal);
+  if (masked.columns.size === 0) {
+    return;
+  }
+  for (const i of computed) {
+    const names = referencedNames(targetOf(ast, i) ?? ast);
+    const source = [...names].find(name => masked.columns.has(name) || masked.relations.has(name) || name === '*');
+    if (source !== undefined) {
+      const what = masked.columns.has(source) ? `masked column ${source}` : 'a row holding masked columns';
+      throw new ForbiddenError(
+        `Result column ${page.columns[i].name} is computed from ${what}; select masked columns directly to get their masked values`,
+        { column: page.columns[i].name, source });
+    }
+  }
+}
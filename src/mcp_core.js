@@ -0,0 +1,394 @@
+// Protocol core shared by every transport: server identity, the tool
+// registry and the JSON-RPC method router. Transports only move messages;
+// what a message does is decided here, so it behaves the same over HTTP,
+// HTTPS, SSE and stdio.
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import Ajv from "ajv";
+import { randomUUID } from "crypto";
+import { introspectionTools, callIntrospectionTool } from "./introspection.js";
+import { queryTool, callQueryTool, queryToolEnabled } from "./query_tool.js";
+import { explainTool, callExplainTool } from "./explain.js";
+import { spatialTools, callSpatialTool } from "./spatial.js";
+import { listDatabasesTool, callListDatabasesTool } from "./databases.js";
+import { listResources, readResource, resourceTemplates } from "./resources.js";
+import { listPrompts, getPrompt } from "./prompts.js";
+import { loadNamedQueries, watchNamedQueries, callNamedQuery } from "./named_queries.js";
+import { invalidateCacheTool, callInvalidateCacheTool } from "./result_cache.js";
+import { auditSearchTool, callAuditSearchTool, startAudit, finishAudit } from "./audit.js";
+import { registerToolMetrics, recordRequest, recordError, recordToolCall } from "./metrics.js";
+import { acquireQuota } from "./quotas.js";
+import { ANONYMOUS } from "./auth.js";
+import { log, logMessage, withLogContext } from "./logger.js";
+import {
+  RpcError,
+  InvalidRequestError,
+  MethodNotFoundError,
+  InvalidParamsError,
+  toJsonRpcError,
+} from "./errors.js";
+
+export const PROTOCOL_VERSION = "2025-03-26";
+
+export const SERVER_INFO = {
+  name: "mapai-postgres-server",
+  version: "0.1.0",
+};
+
+export const SERVER_CAPABILITIES = {
+  tools: { listChanged: true },
+  resources: {},
+  prompts: {},
+};
+
+// Tool arguments are checked against each tool's inputSchema before the
+// handler runs
+const ajv = new Ajv({ allErrors: true });
+
+// name -> { definition, handler(args, context), validate }
+const tools = new Map();
+// Called after tools are added or removed once the server is running
+const toolsChangedListeners = new Set();
+
+// Adds a tool. handler(args, { sessionId, principal, client, audit }) returns the
+// tool result; handlers that run SQL note it on audit (see audit.js).
+export function registerTool(definition, handler) {
+  tools.set(definition.name, { definition, handler, validate: ajv.compile(definition.inputSchema) });
+  registerToolMetrics(definition.name);
+}
+
+export function unregisterTool(name) {
+  tools.delete(name);
+}
+
+// listener() runs whenever the tool list changes; returns a function that unsubscribes
+export function onToolsChanged(listener) {
+  toolsChangedListeners.add(listener);
+  return () => toolsChangedListeners.delete(listener);
+}
+
+// Both take arbitrary SQL; QUERY_TOOL=false leaves clients the curated tools only
+if (queryToolEnabled) {
+  registerTool(queryTool, (args, { sessionId, principal, audit }) => callQueryTool(args, { sessionId, principal, audit }));
+  registerTool(explainTool, (args, { principal, audit }) => callExplainTool(args, { principal, audit }));
+}
+registerTool(listDatabasesTool, () => callListDatabasesTool());
+for (const tool of introspectionTools) {
+  registerTool(tool, (args, { principal, audit }) => callIntrospectionTool(tool.name, args, { principal, audit }));
+}
+for (const tool of spatialTools) {
+  registerTool(tool, (args, { sessionId, principal, audit }) => callSpatialTool(tool.name, args, { sessionId, principal, audit }));
+}
+registerTool(invalidateCacheTool, (args) => callInvalidateCacheTool(args));
+registerTool(auditSearchTool, (args, { principal }) => callAuditSearchTool(args, { principal }));
+
+// query and explain_query stay reserved when QUERY_TOOL=false
+const builtinTools = new Set([queryTool.name, explainTool.name, ...tools.keys()]);
+// Names of the tools registered from NAMED_QUERIES_FILE
+let namedTools = new Set();
+
+function replaceNamedTools(queries) {
+  for (const name of namedTools) {
+    unregisterTool(name);
+  }
+  namedTools = new Set();
+  for (const { name, definition, query } of queries.values()) {
+    if (builtinTools.has(name)) {
+      log.warn('Skipping named query that shadows a built-in tool', { name });
+      continue;
+    }
+    try {
+      registerTool(definition, (args, { principal, audit }) => callNamedQuery(query, args, { principal, audit }));
+      namedTools.add(name);
+    } catch (error) {
+      // ajv rejects input_schema
+      log.warn('Skipping named query', { name, error });
+    }
+  }
+}
+
+// The arguments of named query tools are bind values, logged redacted
+function logOptions(message) {
+  return { bindArguments: message?.method === 'tools/call' && namedTools.has(message.params?.name) };
+}
+
+// Registers the named queries and re-registers them whenever the file changes
+export async function loadNamedQueryTools() {
+  replaceNamedTools(await loadNamedQueries());
+  watchNamedQueries(queries => {
+    replaceNamedTools(queries);
+    log.info('Reloaded named queries', { tools: [...namedTools] });
+    for (const listener of toolsChangedListeners) {
+      listener();
+    }
+  });
+  return [...namedTools];
+}
+
+export function listTools() {
+  return [...tools.values()].map(tool => tool.definition);
+}
+
+async function runTool(name, args, context) {
+  const tool = tools.get(name);
+  if (!tool) {
+    throw new InvalidParamsError(`Unknown tool: ${name}`, { tool: name });
+  }
+  if (!tool.validate(args)) {
+    throw new InvalidParamsError(
+      `Invalid arguments for ${name}: ${ajv.errorsText(tool.validate.errors, { dataVar: 'arguments' })}`,
+      {
+        tool: name,
+        errors: tool.validate.errors.map(error => ({ path: error.dataPath, message: error.message })),
+      });
+  }
+  return tool.handler(args, context);
+}
+
+// Runs a tool for the caller in context ({ sessionId, principal, client }) and
+// writes the call to the audit log, whether it succeeds or not
+export async function callTool(name, args = {}, context = {}) {
+  const caller = { sessionId: null, principal: ANONYMOUS, client: null, ...context };
+  const audit = startAudit(name, args, caller);
+  try {
+    const result = await runTool(name, args, { ...caller, audit });
+    await finishAudit(audit, { result });
+    recordToolCall(audit, { result });
+    return result;
+  } catch (error) {
+    await finishAudit(audit, { error });
+    recordToolCall(audit, { error });
+    throw error;
+  }
+}
+
+// Checks the JSON-RPC 2.0 envelope, throws InvalidRequestError
+function validateEnvelope(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw new InvalidRequestError('expected a JSON-RPC object');
+  }
+  if (message.jsonrpc !== "2.0") {
+    throw new InvalidRequestError('jsonrpc must be "2.0"');
+  }
+  if (typeof message.method !== 'string') {
+    throw new InvalidRequestError('method must be a string');
+  }
+  if ('id' in message && message.id !== null && typeof message.id !== 'string' && typeof message.id !== 'number') {
+    throw new InvalidRequestError('id must be a string, number or null');
+  }
+  if ('params' in message && (message.params === null || typeof message.params !== 'object')) {
+    throw new InvalidRequestError('params must be an object or array');
+  }
+}
+
+function validId(message) {
+  const id = message?.id;
+  return typeof id === 'string' || typeof id === 'number' ? id : null;
+}
+
+// Handles one JSON-RPC message, returns the response, or null for
+// notifications (which never get one, not even an error).
+// context is { sessionId, principal, client } of the transport session it came from.
+export function handleMessage(requestData, context = {}) {
+  return withLogContext({ session_id: context.sessionId ?? null }, async () => {
+    const started = Date.now();
+    const response = await routeMessage(requestData, context);
+    logMessage(requestData, response, Date.now() - started, logOptions(requestData));
+    return response;
+  });
+}
+
+async function routeMessage(requestData, context) {
+  try {
+    validateEnvelope(requestData);
+  } catch (error) {
+    recordError(error);
+    return { jsonrpc: "2.0", id: validId(requestData), error: toJsonRpcError(error) };
+  }
+  recordRequest(requestData.method, requestData.params?.name);
+
+  if (!('id' in requestData)) {
+    if (requestData.method === 'notifications/initialized') {
+      log.info('Client initialized', { principal: context.principal?.id ?? null });
+    }
+    return null;
+  }
+
+  let release = () => {};
+  try {
+    // Calls that reach the database count against the caller's quotas
+    release = await acquireQuota(requestData.method, context);
+
+    let response;
+
+    // Route MCP requests to appropriate handlers
+    switch (requestData.method) {
+      case 'initialize':
+        response = {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: SERVER_CAPABILITIES,
+          serverInfo: SERVER_INFO,
+        };
+        break;
+
+      case 'ping':
+        response = {};
+        break;
+
+      case 'tools/list':
+        response = {
+          tools: listTools(),
+        };
+        break;
+
+      case 'tools/call': {
+        const { name, arguments: args } = requestData.params ?? {};
+        if (typeof name !== 'string') {
+          throw new InvalidParamsError('tools/call requires a tool name', { argument: 'name' });
+        }
+        if (args !== undefined && (args === null || typeof args !== 'object' || Array.isArray(args))) {
+          throw new InvalidParamsError('tools/call arguments must be an object', { argument: 'arguments' });
+        }
+        response = await callTool(name, args, context);
+        break;
+      }
+
+      case 'resources/list':
+        response = await listResources({ cursor: requestData.params?.cursor, principal: context.principal ?? ANONYMOUS });
+        break;
+
+      case 'resources/templates/list':
+        response = { resourceTemplates };
+        break;
+
+      case 'resources/read': {
+        const uri = requestData.params?.uri;
+        if (typeof uri !== 'string') {
+          throw new InvalidParamsError('resources/read requires a uri', { argument: 'uri' });
+        }
+        response = await readResource(uri, { sessionId: null, principal: ANONYMOUS, ...context });
+        break;
+      }
+
+      case 'prompts/list':
+        response = listPrompts();
+        break;
+
+      case 'prompts/get': {
+        const { name, arguments: args } = requestData.params ?? {};
+        if (typeof name !== 'string') {
+          throw new InvalidParamsError('prompts/get requires a prompt name', { argument: 'name' });
+        }
+        response = await getPrompt(name, args, { principal: context.principal ?? ANONYMOUS });
+        break;
+      }
+
+      default:
+        throw new MethodNotFoundError(requestData.method);
+    }
+
+    return {
+      jsonrpc: "2.0",
+      id: requestData.id,
+      result: response
+    };
+  } catch (error) {
+    recordError(error);
+    if (error instanceof RpcError) {
+      log.warn(`Request ${requestData.method} failed`, { error });
+    } else {
+      log.error(`Error processing ${requestData.method}`, { error });
+    }
+
+    return {
+      jsonrpc: "2.0",
+      id: requestData.id,
+      error: toJsonRpcError(error)
+    };
+  } finally {
+    release();
+  }
+}
+
+// Handles a parsed request body: one message or a batch. Returns the
+// response, the array of batch responses, or null when nothing needs a reply.
+export async function handlePayload(payload, context = {}) {
+  if (!Array.isArray(payload)) {
+    return handleMessage(payload, context);
+  }
+  if (payload.length === 0) {
+    return { jsonrpc: "2.0", id: null, error: toJsonRpcError(new InvalidRequestError('empty batch')) };
+  }
+  const responses = [];
+  for (const message of payload) {
+    const response = await handleMessage(message, context);
+    if (response) {
+      responses.push(response);
+    }
+  }
+  return responses.length > 0 ? responses : null;
+}
+
+// An SDK Server answering from the same registry, for SDK transports
+export function createSdkServer() {
+  const server = new Server(SERVER_INFO, { capabilities: SERVER_CAPABILITIES });
+
+  // Each request is logged under its own request id, like HTTP requests
+  const handle = (schema, handler) => server.setRequestHandler(schema, (request, extra) =>
+    withLogContext({ request_id: randomUUID(), session_id: extra?.sessionId ?? null }, async () => {
+      const started = Date.now();
+      try {
+        const result = await handler(request, extra);
+        logMessage(request, { result }, Date.now() - started, logOptions(request));
+        return result;
+      } catch (error) {
+        logMessage(request, { error: toJsonRpcError(error) }, Date.now() - started, logOptions(request));
+        throw error;
+      }
+    }));
+
+  const unsubscribe = onToolsChanged(() => {
+    server.sendToolListChanged().catch(error => log.warn('Could not send tools/list_changed', { error }));
+  });
+  server.onclose = unsubscribe;
+
+  handle(ListToolsRequestSchema, async () => {
+    return { tools: listTools() };
+  });
+
+  handle(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    return callTool(name, args, { sessionId: extra?.sessionId ?? null });
+  });
+
+  handle(ListResourcesRequestSchema, async (request) => {
+    return listResources({ cursor: request.params?.cursor, principal: ANONYMOUS });
+  });
+
+  handle(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates };
+  });
+
+  handle(ReadResourceRequestSchema, async (request, extra) => {
+    return readResource(request.params.uri, { sessionId: extra?.sessionId ?? null, principal: ANONYMOUS });
+  });
+
+  handle(ListPromptsRequestSchema, async () => {
+    return listPrompts();
+  });
+
+  handle(GetPromptRequestSchema, async (request) => {
+    return getPrompt(request.params.name, request.params.arguments, { principal: ANONYMOUS });
+  });
+
+  return server;
+}
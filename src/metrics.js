@@ -0,0 +1,216 @@
+// Prometheus metrics, served as text on /metrics by every HTTP transport
+// Counters and histograms are updated by the protocol core as requests are
+// handled; connection pool, session, cursor and process gauges are read when
+// the endpoint is scraped. Label values are limited to known methods, tools
+// and databases so clients cannot create unbounded series.
+
+import * as fs from "fs";
+import { monitorEventLoopDelay } from "perf_hooks";
+import { listDatabases, defaultDatabaseName } from "./databases.js";
+import { openCursorCount } from "./cursors.js";
+import { errorClass } from "./audit.js";
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const KNOWN_METHODS = new Set([
+  'initialize', 'ping', 'tools/list', 'tools/call',
+  'resources/list', 'resources/templates/list', 'resources/read',
+  'prompts/list', 'prompts/get',
+  'notifications/initialized', 'notifications/cancelled',
+]);
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// A metric family: name, help, type and its series keyed by label values
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map();
+  }
+
+  entry(labels, create) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${labelText(s.labels)} ${s.value}`)];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${labelText({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${labelText(labels)} ${sum}`);
+      lines.push(`${this.name}_count${labelText(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Gauges are only known at scrape time: [[labels, value], ...]
+function gauge(name, help, samples) {
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    ...samples.map(([labels, value]) => `${name}${labelText(labels)} ${value}`),
+  ];
+}
+
+function counterSample(name, help, value) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} counter`, `${name} ${value}`];
+}
+
+const requests = new Counter('mcp_requests_total', 'JSON-RPC messages handled, by method and tool');
+const errors = new Counter('mcp_errors_total', 'Failed requests and tool calls, by error class');
+const toolDuration = new Histogram('mcp_tool_call_duration_seconds', 'Duration of tools/call requests, by tool and database', DURATION_BUCKETS);
+const rowsReturned = new Counter('mcp_rows_returned_total', 'Rows returned by tool calls, by tool and database');
+
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+
+// Tools that may appear as label values, set by the core as tools are registered
+const knownTools = new Set();
+
+export function registerToolMetrics(name) {
+  knownTools.add(name);
+}
+
+function toolLabel(name) {
+  return knownTools.has(name) ? name : 'unknown';
+}
+
+function databaseLabel(name) {
+  const database = name ?? defaultDatabaseName();
+  return listDatabases().some(db => db.name === database) ? database : 'unknown';
+}
+
+export function recordRequest(method, toolName) {
+  requests.inc({
+    method: KNOWN_METHODS.has(method) ? method : 'other',
+    tool: method === 'tools/call' ? toolLabel(toolName) : '',
+  });
+}
+
+// A request that ended in a JSON-RPC error
+export function recordError(error) {
+  errors.inc({ class: typeof error === 'string' ? error : errorClass(error) });
+}
+
+// A finished tools/call, from its audit record (see audit.js). Thrown errors
+// are counted by the router; error results are counted here.
+export function recordToolCall(audit, { result }) {
+  const labels = { tool: toolLabel(audit.tool), database: databaseLabel(audit.args?.database) };
+  toolDuration.observe(labels, (Date.now() - audit.started) / 1000);
+  if (audit.rowCount !== null) {
+    rowsReturned.inc(labels, audit.rowCount);
+  }
+  if (result?.isError) {
+    recordError(audit.error ? errorClass(audit.error) : 'ToolError');
+  }
+}
+
+function poolMetrics() {
+  const databases = listDatabases();
+  const sample = read => databases.map(db => [{ database: db.name }, read(db)]);
+  return [
+    ...gauge('mcp_pg_pool_max_connections', 'Configured pool size', sample(db => db.poolOptions.max)),
+    ...gauge('mcp_pg_pool_total_connections', 'Connections open in the pool (pg.Pool totalCount)', sample(db => db.pool.totalCount)),
+    ...gauge('mcp_pg_pool_idle_connections', 'Idle connections in the pool (pg.Pool idleCount)', sample(db => db.pool.idleCount)),
+    ...gauge('mcp_pg_pool_waiting_clients', 'Requests waiting for a connection (pg.Pool waitingCount)', sample(db => db.pool.waitingCount)),
+  ];
+}
+
+function openFileDescriptors() {
+  try {
+    return fs.readdirSync('/proc/self/fd').length;
+  } catch {
+    return null;
+  }
+}
+
+function processMetrics() {
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+  const fds = openFileDescriptors();
+  return [
+    ...counterSample('process_cpu_user_seconds_total', 'User CPU time spent in seconds', cpu.user / 1e6),
+    ...counterSample('process_cpu_system_seconds_total', 'System CPU time spent in seconds', cpu.system / 1e6),
+    ...counterSample('process_cpu_seconds_total', 'Total user and system CPU time spent in seconds', (cpu.user + cpu.system) / 1e6),
+    ...gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds',
+      [[{}, Math.round(Date.now() / 1000 - process.uptime())]]),
+    ...gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [[{}, memory.rss]]),
+    ...(fds === null ? [] : gauge('process_open_fds', 'Number of open file descriptors', [[{}, fds]])),
+    ...gauge('nodejs_heap_size_total_bytes', 'Process heap size from Node.js in bytes', [[{}, memory.heapTotal]]),
+    ...gauge('nodejs_heap_size_used_bytes', 'Process heap size used from Node.js in bytes', [[{}, memory.heapUsed]]),
+    ...gauge('nodejs_external_memory_bytes', 'Node.js external memory size in bytes', [[{}, memory.external]]),
+    ...gauge('nodejs_eventloop_lag_p99_seconds', 'The 99th percentile of the recorded event loop delays',
+      [[{}, eventLoopDelay.count > 0 ? eventLoopDelay.percentile(99) / 1e9 : 0]]),
+    ...gauge('nodejs_version_info', 'Node.js version info', [[{ version: process.version }, 1]]),
+  ];
+}
+
+// The exposition text. sessions: { <transport>: open session count }
+export function renderMetrics({ sessions = {} } = {}) {
+  const lines = [
+    ...requests.render(),
+    ...errors.render(),
+    ...toolDuration.render(),
+    ...rowsReturned.render(),
+    ...gauge('mcp_active_sessions', 'Open MCP sessions, by transport',
+      Object.entries(sessions).map(([transport, count]) => [{ transport }, count])),
+    ...gauge('mcp_open_cursors', 'Result cursors kept open for continuation pages', [[{}, openCursorCount()]]),
+    ...poolMetrics(),
+    ...processMetrics(),
+  ];
+  return lines.join('\n') + '\n';
+}
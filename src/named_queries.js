@@ -0,0 +1,212 @@
+// Curated queries from NAMED_QUERIES_FILE, each served as its own tool
+//   { "queries": [
+//       { "name": "pois_near",
+//         "description": "Points of interest within radius_m metres of a WGS84 point",
+//         "database": "app",
+//         "sql": "SELECT name, geom FROM app.pois WHERE ST_DWithin(geom::geography, ST_MakePoint($1, $2)::geography, $3)",
+//         "params": ["lon", "lat", "radius_m"],
+//         "param_types": ["float8", "float8", "float8"],
+//         "input_schema": { "type": "object", "properties": { "lon": { "type": "number" }, ... },
+//                           "required": ["lon", "lat", "radius_m"] },
+//         "max_rows": 100, "timeout_ms": 5000 } ] }
+// "params" names the tool arguments bound to $1..$n, in order; "param_types"
+// are type hints as for the query tool (see params.js). "max_rows" and
+// "timeout_ms" may not exceed QUERY_MAX_ROWS and QUERY_MAX_STATEMENT_TIMEOUT_MS.
+// The SQL goes through the same classifier and read-only transaction as every
+// other query. The file is checked every NAMED_QUERIES_POLL_MS and reloaded
+// when it changes; invalid entries are skipped with a warning.
+
+import * as fs from "fs";
+import { envInt, queryTimeouts } from "./executor.js";
+import { assertReadOnlySql, statementText } from "./sql_guard.js";
+import { bindParams } from "./params.js";
+import { executeLimited, resolveMaxRows, paginationLimits } from "./cursors.js";
+import { formatResult, RESULT_FORMATS } from "./formats.js";
+import { getDatabase } from "./databases.js";
+import { maskRows } from "./masking.js";
+import { assertSqlAllowed } from "./access_policy.js";
+import { RpcError, InvalidParamsError } from "./errors.js";
+import { log } from "./logger.js";
+
+export const namedQuerySettings = {
+  file: process.env.NAMED_QUERIES_FILE || null,
+  pollMs: envInt('NAMED_QUERIES_POLL_MS', 2000),
+};
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Arguments every named query tool takes besides its own
+const COMMON_ARGUMENTS = {
+  format: {
+    type: "string",
+    enum: RESULT_FORMATS,
+    description: "Result format: json (default), csv, markdown, ndjson or geojson"
+  },
+  max_rows: {
+    type: "integer",
+    description: "Maximum rows to return (capped by the query's max_rows)"
+  },
+};
+
+// Checks one entry of the file, resolves to { name, definition, query }
+async function parseEntry(entry) {
+  if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || !NAME_PATTERN.test(entry.name)) {
+    throw new Error('"name" must use lowercase letters, digits and "_"');
+  }
+  if (typeof entry.sql !== 'string' || typeof entry.description !== 'string') {
+    throw new Error('"sql" and "description" are required');
+  }
+  const params = entry.params ?? [];
+  const paramTypes = entry.param_types ?? [];
+  const schema = entry.input_schema ?? { type: "object", properties: {} };
+  if (!Array.isArray(params) || !params.every(param => typeof param === 'string')) {
+    throw new Error('"params" must be a list of argument names');
+  }
+  if (schema.type !== 'object') {
+    throw new Error('"input_schema" must be an object schema');
+  }
+  const missing = params.filter(param => !schema.properties?.[param]);
+  if (missing.length > 0) {
+    throw new Error(`params ${missing.join(', ')} are not in input_schema.properties`);
+  }
+  if (entry.database !== undefined) {
+    getDatabase(entry.database);
+  }
+  const limits = { max_rows: paginationLimits.maxRows, timeout_ms: queryTimeouts.maxStatementTimeoutMs };
+  for (const [key, cap] of Object.entries(limits)) {
+    if (entry[key] !== undefined && (!Number.isInteger(entry[key]) || entry[key] <= 0 || entry[key] > cap)) {
+      throw new Error(`"${key}" must be a positive integer no greater than ${cap}`);
+    }
+  }
+
+  const { statementType, ast } = await assertReadOnlySql(entry.sql);
+  // Every placeholder must have a param and every type hint must be known
+  bindParams(entry.sql, ast, params.map(() => null), paramTypes);
+
+  return {
+    name: entry.name,
+    definition: {
+      name: entry.name,
+      description: entry.description,
+      inputSchema: {
+        ...schema,
+        properties: { ...COMMON_ARGUMENTS, ...schema.properties },
+      },
+    },
+    query: {
+      sql: statementText(entry.sql, ast),
+      ast,
+      statementType,
+      params,
+      paramTypes,
+      database: entry.database,
+      maxRows: entry.max_rows,
+      timeoutMs: entry.timeout_ms,
+    },
+  };
+}
+
+// Reads the file; resolves to name -> { definition, query }
+export async function loadNamedQueries() {
+  const queries = new Map();
+  if (!namedQuerySettings.file) {
+    return queries;
+  }
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(namedQuerySettings.file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      log.warn('Named queries file not found', { file: namedQuerySettings.file });
+      return queries;
+    }
+    throw new Error(`${namedQuerySettings.file}: ${error.message}`);
+  }
+
+  for (const [i, entry] of (config.queries ?? []).entries()) {
+    try {
+      const parsed = await parseEntry(entry);
+      if (queries.has(parsed.name)) {
+        throw new Error('duplicate name');
+      }
+      queries.set(parsed.name, parsed);
+    } catch (error) {
+      log.warn('Skipping named query', { file: namedQuerySettings.file, entry: entry?.name ?? i, error });
+    }
+  }
+  return queries;
+}
+
+// Calls onChange(queries) whenever the file changes. A file that cannot be
+// read or parsed keeps the current queries.
+export function watchNamedQueries(onChange) {
+  if (!namedQuerySettings.file) {
+    return;
+  }
+  fs.watchFile(namedQuerySettings.file, { interval: namedQuerySettings.pollMs }, async (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+      return;
+    }
+    try {
+      onChange(await loadNamedQueries());
+    } catch (error) {
+      log.error('Failed to reload named queries, keeping the current ones', { error });
+    }
+  }).unref();
+}
+
+// Runs a named query with the tool arguments under principal's access policy,
+// masking rows for it; the SQL, row count and failure are noted on audit
+export async function callNamedQuery(query, args = {}, { principal = null, audit = {} } = {}) {
+  const format = args.format ?? 'json';
+  const maxRows = Math.min(resolveMaxRows(args.max_rows), query.maxRows ?? Infinity);
+  const { pool } = getDatabase(query.database);
+  let bound;
+  try {
+    bound = bindParams(query.sql, query.ast, query.params.map(param => args[param] ?? null), query.paramTypes);
+  } catch (error) {
+    // Name the tool argument rather than its position in params
+    const argument = query.params[error.data?.index];
+    if (!(error instanceof InvalidParamsError) || argument === undefined) {
+      throw error;
+    }
+    throw new InvalidParamsError(error.message.replace(/^params\[\d+\] \(\$\d+\)/, argument), { argument });
+  }
+
+  try {
+    audit.sql = query.sql;
+    await assertSqlAllowed(pool, query.ast, principal);
+    // Named queries return one page; there is no cursor to continue with
+    const page = await executeLimited(pool, bound.sql, {
+      statementType: query.statementType,
+      values: bound.values,
+      maxRows,
+      timeouts: { statementTimeoutMs: query.timeoutMs },
+    });
+    audit.rowCount = page.rowCount;
+    const { rows, masked } = maskRows(page, principal);
+    return {
+      content: formatResult(format, {
+        columns: page.columns,
+        rows,
+        meta: { rowCount: page.rowCount, truncated: page.truncated, ...(masked.length > 0 ? { masked } : {}) },
+      }),
+      isError: false,
+    };
+  } catch (error) {
+    if (error instanceof RpcError) {
+      throw error;
+    }
+    audit.error = error;
+    log.error('Named query failed', { error });
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error executing query: ${error instanceof Error ? error.message : 'Unknown error'}`
+        }
+      ],
+      isError: true,
+    };
+  }
+}
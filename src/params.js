@@ -0,0 +1,202 @@
+// Bind parameters for the query tool
+// params is an array bound to $1..$n. param_types optionally names the type
+// of each one (int8, uuid, geometry, text[], ...): a hinted value is checked
+// before the query runs and its placeholder is cast to the type, so $2 with
+// hint "geometry" is sent as WKT text and read as ($2::geometry). Errors name
+// the parameter both by its index in params and by its placeholder.
+
+import { walkAst } from "./sql_guard.js";
+import { InvalidParamsError } from "./errors.js";
+
+const INTEGER_RANGES = {
+  int2: [-(2n ** 15n), 2n ** 15n - 1n],
+  int4: [-(2n ** 31n), 2n ** 31n - 1n],
+  int8: [-(2n ** 63n), 2n ** 63n - 1n],
+};
+
+const NUMBER_TEXT = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const UUID = /^\{?[0-9a-fA-F]{8}-?[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}-?[0-9a-fA-F]{12}\}?$/;
+const BOOLEAN_TEXT = /^(t|true|f|false|y|yes|n|no|on|off|1|0)$/i;
+// WKT or EWKT ("SRID=4326;POINT(1 2)")
+const WKT = /^\s*(SRID=\d+;)?\s*(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION|CIRCULARSTRING|COMPOUNDCURVE|CURVEPOLYGON|MULTICURVE|MULTISURFACE|POLYHEDRALSURFACE|TRIANGLE|TIN)\s*(ZM|Z|M)?\s*(\(|EMPTY\s*$)/i;
+
+function integer(type) {
+  const [min, max] = INTEGER_RANGES[type];
+  return value => {
+    const valid = typeof value === 'number' ? Number.isSafeInteger(value) : typeof value === 'string' && /^[+-]?\d+$/.test(value);
+    if (!valid) {
+      return `expected an integer${type === 'int8' ? ' (as a string beyond 2^53)' : ''}`;
+    }
+    const parsed = BigInt(value);
+    return parsed < min || parsed > max ? `out of range for ${type}` : null;
+  };
+}
+
+function decimal(allowSpecial) {
+  return value => {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? null : 'expected a finite number';
+    }
+    if (typeof value === 'string' && (NUMBER_TEXT.test(value) || (allowSpecial && /^([+-]?Infinity|NaN)$/.test(value)))) {
+      return null;
+    }
+    return 'expected a number or numeric string';
+  };
+}
+
+function text(value) {
+  return typeof value === 'string' ? null : 'expected a string';
+}
+
+// A geometry tag followed by balanced parentheses; PostGIS checks the rest
+function wkt(value) {
+  if (typeof value !== 'string' || !WKT.test(value) ||
+      (value.match(/\(/g) ?? []).length !== (value.match(/\)/g) ?? []).length) {
+    return 'expected WKT or EWKT text such as "SRID=4326;POINT(13.4 52.5)"';
+  }
+  return null;
+}
+
+function pattern(regex, expected) {
+  return value => (typeof value === 'string' && regex.test(value) ? null : `expected ${expected}`);
+}
+
+// Type hint -> check(value) returning a problem or null, and the value to bind
+const PARAM_TYPES = {
+  text: { check: text },
+  varchar: { check: text },
+  int2: { check: integer('int2') },
+  int4: { check: integer('int4') },
+  int8: { check: integer('int8') },
+  float4: { check: decimal(true) },
+  float8: { check: decimal(true) },
+  numeric: { check: decimal(true) },
+  bool: { check: value => (typeof value === 'boolean' || (typeof value === 'string' && BOOLEAN_TEXT.test(value)) ? null : 'expected a boolean') },
+  uuid: { check: pattern(UUID, 'a UUID') },
+  date: { check: text },
+  time: { check: text },
+  timestamp: { check: text },
+  timestamptz: { check: text },
+  interval: { check: text },
+  // The JSON value itself, not JSON text
+  json: { check: () => null, bind: value => JSON.stringify(value) },
+  jsonb: { check: () => null, bind: value => JSON.stringify(value) },
+  geometry: { check: wkt },
+  geography: { check: wkt },
+};
+
+export const PARAM_TYPE_NAMES = Object.keys(PARAM_TYPES);
+
+export const paramsArguments = {
+  params: {
+    type: "array",
+    description: "Values bound to the placeholders $1, $2, ... of sql, in order. Use these instead of pasting values into the SQL text",
+  },
+  param_types: {
+    type: "array",
+    items: { type: ["string", "null"] },
+    description: `Optional type of each parameter, by position (null for none): ${PARAM_TYPE_NAMES.join(', ')}, ` +
+      'or an array type such as int8[]. Values are checked before the query runs; geometry and geography take WKT/EWKT text, json and jsonb the JSON value itself',
+  },
+};
+
+function paramError(index, message) {
+  return new InvalidParamsError(`params[${index}] ($${index + 1}) ${message}`,
+    { argument: 'params', index, placeholder: `$${index + 1}` });
+}
+
+// Checks one value against its hint, returns the value to bind
+function bindValue(value, hint, index) {
+  if (value === null) {
+    return null;
+  }
+  if (!hint) {
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      throw paramError(index, 'is an object; give it the json or jsonb type');
+    }
+    return value;
+  }
+  const isArray = hint.endsWith('[]');
+  const type = PARAM_TYPES[isArray ? hint.slice(0, -2) : hint];
+  const bindOne = (item, label) => {
+    if (item === null) {
+      return null;
+    }
+    const problem = type.check(item);
+    if (problem) {
+      throw paramError(index, `is not a valid ${hint}${label}: ${problem}`);
+    }
+    return type.bind ? type.bind(item) : item;
+  };
+  if (!isArray) {
+    return bindOne(value, '');
+  }
+  if (!Array.isArray(value)) {
+    throw paramError(index, `is not a valid ${hint}: expected an array`);
+  }
+  return value.map((item, i) => bindOne(item, ` (element ${i})`));
+}
+
+function checkHint(hint, index) {
+  if (hint === null || hint === undefined) {
+    return;
+  }
+  if (!PARAM_TYPES[hint.endsWith('[]') ? hint.slice(0, -2) : hint]) {
+    throw new InvalidParamsError(`param_types[${index}] ($${index + 1}): unknown type "${hint}" (expected one of ${PARAM_TYPE_NAMES.join(', ')}, optionally with [])`,
+      { argument: 'param_types', index, placeholder: `$${index + 1}` });
+  }
+}
+
+// Placeholders used by the statement: [{ number, location }] (location in bytes)
+function placeholders(ast) {
+  const refs = [];
+  walkAst(ast, (type, node) => {
+    if (type === 'ParamRef') {
+      refs.push({ number: node.number, location: node.location });
+    }
+  });
+  return refs;
+}
+
+// Validates params against the statement and the hints. Returns the SQL with
+// hinted placeholders cast to their type and the values to bind.
+export function bindParams(sql, ast, params = [], paramTypes = []) {
+  if (!Array.isArray(params)) {
+    throw new InvalidParamsError('params must be an array', { argument: 'params' });
+  }
+  if (!Array.isArray(paramTypes) || paramTypes.length > params.length) {
+    throw new InvalidParamsError('param_types must be an array no longer than params', { argument: 'param_types' });
+  }
+  paramTypes.forEach(checkHint);
+
+  const refs = placeholders(ast);
+  const used = new Set(refs.map(ref => ref.number));
+  const highest = Math.max(0, ...used);
+  if (highest > params.length) {
+    throw new InvalidParamsError(`sql uses $${highest} but only ${params.length} params were given`,
+      { argument: 'params', index: params.length, placeholder: `$${params.length + 1}` });
+  }
+  const unused = params.findIndex((_, i) => !used.has(i + 1));
+  if (unused !== -1) {
+    throw paramError(unused, 'is not used by the query');
+  }
+
+  const values = params.map((value, i) => bindValue(value, paramTypes[i], i));
+
+  // Cast from the last placeholder backwards so earlier offsets stay valid
+  let buffer = Buffer.from(sql, 'utf8');
+  for (const { number, location } of [...refs].sort((a, b) => b.location - a.location)) {
+    const hint = paramTypes[number - 1];
+    if (!hint) {
+      continue;
+    }
+    // $1 may be spelt $01
+    const token = /^\$\d+/.exec(buffer.subarray(location, location + 16).toString('latin1'))[0];
+    buffer = Buffer.concat([
+      buffer.subarray(0, location),
+      Buffer.from(`(${token}::${hint})`),
+      buffer.subarray(location + token.length),
+    ]);
+  }
+  return { sql: buffer.toString('utf8'), values };
+}
@@ -0,0 +1,195 @@
+// MCP prompts loaded from PROMPTS_DIR (default: ./prompts next to the server)
+// Each <name>.md file is one prompt: a JSON front matter block followed by
+// the template text.
+//   ---
+//   { "description": "...",
+//     "arguments": [{ "name": "table", "description": "...", "required": true }] }
+//   ---
+//   Profile {{table}} ...
+// Template tags:
+//   {{arg}}                  value of an argument ("" when not given)
+//   {{#if arg}}...{{/if}}    kept only when the argument is given
+//   {{schema arg}}           DDL and column docs of the table(s) named in arg
+//                            (comma-separated, optionally schema-qualified)
+//   {{tables}}               relations with row estimates and comments
+//   {{tables arg}}           the same, limited to the schema named in arg
+// Schema context is read live, in one read-only transaction on the database
+// named by the "database" argument (default: the default database).
+// Files are re-read on every request, so edits apply without a restart.
+
+import * as fs from "fs";
+import * as path from "path";
+import { fileURLToPath } from "url";
+import { withReadOnlyTransaction } from "./executor.js";
+import { listTables, parseTableName } from "./introspection.js";
+import { schemaDocument } from "./resources.js";
+import { getDatabase } from "./databases.js";
+import { markdownCell } from "./formats.js";
+import { relationAllowed, assertRelationAllowed } from "./access_policy.js";
+import { InvalidParamsError } from "./errors.js";
+import { log } from "./logger.js";
+
+const promptsDir = process.env.PROMPTS_DIR || fileURLToPath(new URL('../prompts', import.meta.url));
+
+const NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/;
+const CONDITIONAL = /\{\{#if\s+([A-Za-z_][A-Za-z0-9_]*)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g;
+const TAG = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)(?:\s+([A-Za-z_][A-Za-z0-9_]*))?\s*\}\}/g;
+
+function parsePromptFile(name, text) {
+  const match = FRONT_MATTER.exec(text);
+  if (!match) {
+    throw new Error('missing --- front matter block');
+  }
+  const meta = JSON.parse(match[1]);
+  const args = meta.arguments ?? [];
+  if (!Array.isArray(args) || !args.every(arg => arg && typeof arg.name === 'string')) {
+    throw new Error('"arguments" must be a list of { "name", "description", "required" }');
+  }
+  return {
+    name,
+    description: meta.description ?? '',
+    arguments: args.map(arg => ({
+      name: arg.name,
+      description: arg.description ?? '',
+      required: arg.required === true,
+    })),
+    template: match[2],
+  };
+}
+
+function loadPrompts() {
+  const prompts = new Map();
+  let files;
+  try {
+    files = fs.readdirSync(promptsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return prompts;
+    }
+    throw error;
+  }
+
+  for (const file of files.filter(file => file.endsWith('.md')).sort()) {
+    const name = path.basename(file, '.md');
+    if (!NAME_PATTERN.test(name)) {
+      log.warn('Skipping prompt: use lowercase letters, digits, "_" and "-" in the file name', { file });
+      continue;
+    }
+    try {
+      prompts.set(name, parsePromptFile(name, fs.readFileSync(path.join(promptsDir, file), 'utf8')));
+    } catch (error) {
+      log.warn('Skipping prompt', { file, error });
+    }
+  }
+  return prompts;
+}
+
+export function listPrompts() {
+  return {
+    prompts: [...loadPrompts().values()].map(({ name, description, arguments: args }) => ({
+      name,
+      description,
+      arguments: args,
+    })),
+  };
+}
+
+async function renderSchemas(db, database, value, argument, principal) {
+  const documents = [];
+  for (const name of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const parsed = parseTableName(name, 'public', argument);
+    assertRelationAllowed(principal, parsed.schema, parsed.table);
+    const document = await schemaDocument(db, database, parsed.schema, parsed.table);
+    if (document === null) {
+      throw new InvalidParamsError(`Table not found: ${parsed.schema}.${parsed.table}`, { argument });
+    }
+    documents.push(document);
+  }
+  return documents.join('\n');
+}
+
+async function renderTableList(db, schema, principal) {
+  const tables = (await listTables(db, { schema })).filter(table => relationAllowed(principal, table.schema, table.name));
+  const lines = ['| Table | Type | Rows (est.) | Description |', '| --- | --- | --- | --- |'];
+  for (const table of tables) {
+    lines.push('| ' + [
+      markdownCell(`${table.schema}.${table.name}`),
+      table.type,
+      table.row_estimate ?? '',
+      table.comment === null ? '' : markdownCell(table.comment),
+    ].join(' | ') + ' |');
+  }
+  return lines.join('\n');
+}
+
+function checkArguments(prompt, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new InvalidParamsError('prompts/get arguments must be an object', { argument: 'arguments' });
+  }
+  for (const [name, value] of Object.entries(args)) {
+    if (!prompt.arguments.some(arg => arg.name === name)) {
+      throw new InvalidParamsError(`Prompt ${prompt.name} has no argument "${name}"`, { prompt: prompt.name, argument: name });
+    }
+    if (typeof value !== 'string') {
+      throw new InvalidParamsError(`Prompt argument "${name}" must be a string`, { prompt: prompt.name, argument: name });
+    }
+  }
+  for (const arg of prompt.arguments) {
+    if (arg.required && !args[arg.name]) {
+      throw new InvalidParamsError(`Missing required argument "${arg.name}" for prompt ${prompt.name}`, {
+        prompt: prompt.name,
+        argument: arg.name,
+      });
+    }
+  }
+}
+
+// prompts/get: renders a template with its arguments and live schema context,
+// limited to the tables principal may read
+export async function getPrompt(name, args = {}, { principal = null } = {}) {
+  const prompt = loadPrompts().get(name);
+  if (!prompt) {
+    throw new InvalidParamsError(`Unknown prompt: ${name}`, { prompt: name });
+  }
+  checkArguments(prompt, args);
+
+  const template = prompt.template.replace(CONDITIONAL, (_, arg, body) => (args[arg] ? body : ''));
+  const tags = [...template.matchAll(TAG)];
+  const needsDatabase = tags.some(([, word, arg]) => arg !== undefined || word === 'tables');
+
+  const render = async (db, database) => {
+    const values = [];
+    for (const [, word, arg] of tags) {
+      if (word === 'schema' && arg !== undefined) {
+        values.push(args[arg] ? await renderSchemas(db, database, args[arg], arg, principal) : '');
+      } else if (word === 'tables') {
+        values.push(await renderTableList(db, arg !== undefined ? (args[arg] || undefined) : undefined, principal));
+      } else if (arg !== undefined) {
+        throw new Error(`Prompt ${name} uses unknown helper "${word}"`);
+      } else {
+        values.push(args[word] ?? '');
+      }
+    }
+    let i = 0;
+    return template.replace(TAG, () => values[i++]);
+  };
+
+  let text;
+  if (needsDatabase) {
+    const { name: database, pool } = getDatabase(args.database || undefined);
+    text = await withReadOnlyTransaction(pool, {}, client => render(client, database));
+  } else {
+    text = await render(null, null);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: "user",
+        content: { type: "text", text: text.trim() },
+      },
+    ],
+  };
+}
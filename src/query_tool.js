@@ -0,0 +1,176 @@
+// The "query" tool: classify, run in the read-only envelope, return one page
+
+import { assertReadOnlySql } from "./sql_guard.js";
+import { executePaged, fetchPage, closeCursor, resolveMaxRows, paginationLimits } from "./cursors.js";
+import { formatResult, RESULT_FORMATS } from "./formats.js";
+import { getDatabase, databaseArgument } from "./databases.js";
+import { paramsArguments, bindParams } from "./params.js";
+import { maskRows, assertNoDerivedMaskedColumns } from "./masking.js";
+import { assertSqlAllowed } from "./access_policy.js";
+import { cacheEnabled, cacheKey, resolveCacheTtl, getCachedPage, cachePage } from "./result_cache.js";
+import { RpcError, InvalidParamsError } from "./errors.js";
+import { log } from "./logger.js";
+
+// QUERY_TOOL=false turns off query and explain_query, the tools that take raw SQL
+export const queryToolEnabled = process.env.QUERY_TOOL !== 'false';
+
+export const queryTool = {
+  name: "query",
+  description: "Run a read-only SQL query against a MapAI database. " +
+    `Returns at most ${paginationLimits.maxRows} rows; when truncated is true, pass next_cursor back as cursor to fetch the next page.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      sql: {
+        type: "string",
+        description: "The SQL query to execute (SELECT statements only)"
+      },
+      ...paramsArguments,
+      database: databaseArgument,
+      format: {
+        type: "string",
+        enum: RESULT_FORMATS,
+        description: "Result format: json (compact columnar, default), csv, markdown, ndjson or geojson (a FeatureCollection, needs a geometry or geography column). Every format starts with a header of column names and Postgres types"
+      },
+      geometry_column: {
+        type: "string",
+        description: "With format geojson: the column holding the feature geometry (default: the first geometry or geography column)"
+      },
+      max_rows: {
+        type: "integer",
+        description: `Maximum rows to return in this page (default and cap: ${paginationLimits.maxRows})`
+      },
+      cursor: {
+        type: "string",
+        description: "Continuation token (next_cursor) from a previous truncated result; fetches the next page instead of running sql"
+      },
+      close_cursor: {
+        type: "boolean",
+        description: "With cursor: close it without fetching more rows"
+      },
+      timeout_ms: {
+        type: "integer",
+        description: "Statement timeout in milliseconds for this call (capped by the server maximum)"
+      },
+      lock_timeout_ms: {
+        type: "integer",
+        description: "Lock wait timeout in milliseconds for this call (capped by the server maximum)"
+      },
+      cache: {
+        type: "boolean",
+        description: "Serve and store the result through the server's result cache when it is enabled (default true); false always queries the database"
+      },
+      cache_ttl_ms: {
+        type: "integer",
+        description: "How long the result may be served from the cache, in milliseconds (capped by the server maximum)"
+      },
+    },
+  },
+};
+
+// sessionId ties continuation cursors to the MCP session that opened them;
+// principal's access policy is checked and rows are masked for it (see
+// access_policy.js, masking.js); the SQL, row count and failure are noted on audit
+export async function callQueryTool(args = {}, { sessionId = null, principal = null, audit = {} } = {}) {
+  const { cursor, sql } = args;
+
+  if (cursor !== undefined && typeof cursor !== 'string') {
+    throw new InvalidParamsError('cursor must be a string', { argument: 'cursor' });
+  }
+  if (cursor === undefined && (!sql || typeof sql !== 'string')) {
+    throw new InvalidParamsError("SQL query is required", { argument: 'sql' });
+  }
+  const { name: database, pool } = getDatabase(args.database);
+  const maxRows = resolveMaxRows(args.max_rows);
+  const format = args.format ?? 'json';
+  if (!RESULT_FORMATS.includes(format)) {
+    throw new InvalidParamsError(`format must be one of ${RESULT_FORMATS.join(', ')}`, { argument: 'format' });
+  }
+
+  const useCache = cacheEnabled() && args.cache !== false && cursor === undefined;
+  const cacheTtlMs = useCache ? resolveCacheTtl(args.cache_ttl_ms) : 0;
+
+  try {
+    let page;
+    // cache metadata of the result: { hit, cached_at, expires_at } when the cache is used
+    let cacheMeta;
+    if (cursor !== undefined) {
+      if (args.close_cursor === true) {
+        await closeCursor(cursor, sessionId);
+        return {
+          content: [{ type: "text", text: JSON.stringify({ closed: true }) }],
+          isError: false,
+        };
+      }
+      page = await fetchPage(cursor, { maxRows, sessionId });
+    } else {
+      audit.sql = sql;
+      // Parse the statement and reject anything that is not a plain read
+      const { statementType, ast } = await assertReadOnlySql(sql);
+      await assertSqlAllowed(pool, ast, principal);
+      const bound = bindParams(sql, ast, args.params, args.param_types);
+      const key = useCache && statementType === 'SelectStmt' ? cacheKey(database, ast, [bound.values, args.param_types ?? []]) : null;
+      const cached = key ? getCachedPage(key, { maxRows, maxAgeMs: cacheTtlMs }) : null;
+      if (cached) {
+        page = cached.page;
+        cacheMeta = { hit: true, cached_at: new Date(cached.cachedAt).toISOString(), expires_at: new Date(cached.expiresAt).toISOString() };
+      } else {
+        page = await executePaged(pool, bound.sql, {
+          statementType,
+          values: bound.values,
+          maxRows,
+          sessionId,
+          timeouts: {
+            statementTimeoutMs: args.timeout_ms,
+            lockTimeoutMs: args.lock_timeout_ms,
+          },
+        });
+        if (key) {
+          cachePage(key, { database, ast, page, ttlMs: cacheTtlMs });
+          cacheMeta = { hit: false };
+        }
+      }
+      try {
+        await assertNoDerivedMaskedColumns(pool, ast, page, principal);
+      } catch (error) {
+        if (page.nextCursor) {
+          await closeCursor(page.nextCursor, sessionId);
+        }
+        throw error;
+      }
+    }
+
+    audit.rowCount = page.rowCount;
+    const { rows, masked } = maskRows(page, principal);
+    return {
+      content: formatResult(format, {
+        columns: page.columns,
+        rows,
+        geometryColumn: args.geometry_column,
+        meta: {
+          rowCount: page.rowCount,
+          truncated: page.truncated,
+          next_cursor: page.nextCursor,
+          ...(cacheMeta ? { cache: cacheMeta } : {}),
+          ...(masked.length > 0 ? { masked } : {}),
+        },
+      }),
+      isError: false,
+    };
+  } catch (error) {
+    if (error instanceof RpcError) {
+      throw error;
+    }
+    audit.error = error;
+    log.error('Query failed', { error });
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error executing query: ${error instanceof Error ? error.message : 'Unknown error'}`
+        }
+      ],
+      isError: true,
+    };
+  }
+}
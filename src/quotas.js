@@ -0,0 +1,213 @@
+// Per-client rate limits and concurrency caps
+// Requests that reach the database (tools/call, resources/list,
+// resources/read, prompts/get) are counted per principal (API key or JWT
+// subject; not the shared anonymous one), per MCP session and per client IP.
+// Each has a token bucket refilled at RATE_LIMIT_<SCOPE>_PER_MINUTE holding up
+// to RATE_LIMIT_<SCOPE>_BURST requests, and a cap of RATE_LIMIT_<SCOPE>_CONCURRENT
+// requests running at once. A request over a concurrency cap waits in line
+// behind earlier ones of the same client for up to RATE_LIMIT_QUEUE_TIMEOUT_MS;
+// an empty bucket or a wait that runs out fails with RateLimitedError, whose
+// data says when to retry. 0 turns a limit off.
+
+import { envInt } from "./executor.js";
+import { RateLimitedError } from "./errors.js";
+
+const LIMITED_METHODS = new Set(['tools/call', 'resources/list', 'resources/read', 'prompts/get']);
+// Retry hint for a request that found no free slot in time
+const CONCURRENCY_RETRY_MS = 1000;
+// Clients with nothing running and a full bucket are forgotten after this long
+const IDLE_MS = 10 * 60 * 1000;
+
+function scopeLimits(scope, defaults) {
+  const prefix = `RATE_LIMIT_${scope.toUpperCase()}`;
+  const perMinute = envInt(`${prefix}_PER_MINUTE`, defaults.perMinute);
+  return {
+    perMinute,
+    // Ten seconds' worth of requests by default
+    burst: envInt(`${prefix}_BURST`, Math.max(1, Math.ceil(perMinute / 6))),
+    concurrent: envInt(`${prefix}_CONCURRENT`, defaults.concurrent),
+  };
+}
+
+export const quotaLimits = {
+  principal: scopeLimits('principal', { perMinute: 600, concurrent: 5 }),
+  session: scopeLimits('session', { perMinute: 300, concurrent: 3 }),
+  ip: scopeLimits('ip', { perMinute: 1200, concurrent: 8 }),
+  queueTimeoutMs: envInt('RATE_LIMIT_QUEUE_TIMEOUT_MS', 5000),
+};
+
+// "<scope>:<id>" -> { scope, id, tokens, updated, active, queue, requests, limited, lastSeen }
+const clients = new Map();
+
+// The quota keys a request counts against
+function keysFor({ principal, sessionId, client }) {
+  return [
+    principal && principal.type !== 'anonymous' ? ['principal', principal.id] : null,
+    sessionId ? ['session', sessionId] : null,
+    client?.ip ? ['ip', client.ip] : null,
+  ].filter(Boolean);
+}
+
+function clientEntry(scope, id) {
+  const key = `${scope}:${id}`;
+  if (!clients.has(key)) {
+    clients.set(key, {
+      scope,
+      id,
+      tokens: quotaLimits[scope].burst,
+      updated: Date.now(),
+      active: 0,
+      queue: [],
+      requests: 0,
+      limited: 0,
+      lastSeen: Date.now(),
+    });
+  }
+  return clients.get(key);
+}
+
+function refill(entry, now) {
+  const { perMinute, burst } = quotaLimits[entry.scope];
+  entry.tokens = Math.min(burst, entry.tokens + (now - entry.updated) * perMinute / 60000);
+  entry.updated = now;
+}
+
+// Takes a token from every bucket, or from none when one of them is empty
+function takeTokens(entries) {
+  const now = Date.now();
+  const limited = entries.filter(entry => {
+    if (quotaLimits[entry.scope].perMinute === 0) {
+      return false;
+    }
+    refill(entry, now);
+    return entry.tokens < 1;
+  });
+  if (limited.length > 0) {
+    const retryAfterMs = Math.max(...limited.map(entry =>
+      Math.ceil((1 - entry.tokens) * 60000 / quotaLimits[entry.scope].perMinute)));
+    limited.forEach(entry => entry.limited++);
+    const { scope } = limited[0];
+    throw new RateLimitedError(`Rate limit of ${quotaLimits[scope].perMinute} requests per minute per ${scope} exceeded`,
+      { scope, limit: quotaLimits[scope].perMinute, retryAfterMs });
+  }
+  for (const entry of entries) {
+    if (quotaLimits[entry.scope].perMinute !== 0) {
+      entry.tokens -= 1;
+    }
+  }
+}
+
+function acquireSlot(entry) {
+  const { concurrent } = quotaLimits[entry.scope];
+  if (concurrent === 0 || (entry.active < concurrent && entry.queue.length === 0)) {
+    entry.active++;
+    return Promise.resolve();
+  }
+  const rejection = () => {
+    entry.limited++;
+    return new RateLimitedError(`More than ${concurrent} concurrent requests per ${entry.scope}`,
+      { scope: entry.scope, limit: concurrent, retryAfterMs: CONCURRENCY_RETRY_MS });
+  };
+  if (quotaLimits.queueTimeoutMs === 0) {
+    return Promise.reject(rejection());
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      resolve,
+      timer: setTimeout(() => {
+        entry.queue.splice(entry.queue.indexOf(waiter), 1);
+        reject(rejection());
+      }, quotaLimits.queueTimeoutMs),
+    };
+    entry.queue.push(waiter);
+  });
+}
+
+// Hands the slot to the next request in line, if any
+function releaseSlot(entry) {
+  const next = entry.queue.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    entry.active--;
+  }
+  entry.lastSeen = Date.now();
+}
+
+// Admits one request of the caller in context ({ sessionId, principal, client }).
+// Resolves to a function that must be called once the request is done;
+// throws RateLimitedError when a quota is exhausted.
+export async function acquireQuota(method, context) {
+  if (!LIMITED_METHODS.has(method)) {
+    return () => {};
+  }
+  const entries = keysFor(context).map(([scope, id]) => clientEntry(scope, id));
+  for (const entry of entries) {
+    entry.requests++;
+    entry.lastSeen = Date.now();
+  }
+  takeTokens(entries);
+
+  // Slots are always taken in the same order, so two requests never wait on each other
+  const held = [];
+  try {
+    for (const entry of entries) {
+      await acquireSlot(entry);
+      held.push(entry);
+    }
+  } catch (error) {
+    held.forEach(releaseSlot);
+    throw error;
+  }
+  return () => held.forEach(releaseSlot);
+}
+
+// Limits and the current state of every tracked client, for /admin/quotas
+export function quotaUsage() {
+  const now = Date.now();
+  const limits = scope => ({
+    per_minute: quotaLimits[scope].perMinute,
+    burst: quotaLimits[scope].burst,
+    concurrent: quotaLimits[scope].concurrent,
+  });
+  return {
+    limits: {
+      principal: limits('principal'),
+      session: limits('session'),
+      ip: limits('ip'),
+      queue_timeout_ms: quotaLimits.queueTimeoutMs,
+    },
+    clients: [...clients.values()].map(entry => {
+      refill(entry, now);
+      return {
+        scope: entry.scope,
+        id: entry.id,
+        active: entry.active,
+        queued: entry.queue.length,
+        tokens: Math.floor(entry.tokens),
+        requests: entry.requests,
+        limited: entry.limited,
+        last_seen: new Date(entry.lastSeen).toISOString(),
+      };
+    }),
+  };
+}
+
+// Forget clients that have gone quiet
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of clients.entries()) {
+    refill(entry, now);
+    if (entry.active === 0 && entry.queue.length === 0 && entry.tokens >= quotaLimits[entry.scope].burst &&
+        now - entry.lastSeen > IDLE_MS) {
+      clients.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
+
+// Retry-After seconds for an HTTP reply carrying a rate-limited JSON-RPC error
+export function retryAfterSeconds(response) {
+  const retryAfterMs = response?.error?.data?.type === 'rate_limited' ? response.error.data.retry_after_ms : null;
+  return retryAfterMs ? Math.ceil(retryAfterMs / 1000) : null;
+}
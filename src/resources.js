@@ -0,0 +1,275 @@
+// MCP resources: a schema document and a row sample for every table and view
+//   postgres://<database>/<schema>/<table>/schema  DDL and column docs (markdown)
+//   postgres://<database>/<schema>/<table>/sample  first RESOURCE_SAMPLE_ROWS rows (JSON)
+// URI segments are percent-encoded. Reads go through the same read-only
+// envelope, timeouts and SQL classifier as the query tool.
+
+import { envInt, withReadOnlyTransaction } from "./executor.js";
+import { executePaged } from "./cursors.js";
+import { assertReadOnlySql } from "./sql_guard.js";
+import { formatResult, markdownCell } from "./formats.js";
+import { maskRows } from "./masking.js";
+import { relationAllowed, assertRelationAllowed } from "./access_policy.js";
+import { listTables, describeTable } from "./introspection.js";
+import { listDatabases, getDatabase } from "./databases.js";
+import { InvalidParamsError, ResourceNotFoundError } from "./errors.js";
+import { log } from "./logger.js";
+
+const URI_SCHEME = 'postgres://';
+const RESOURCE_KINDS = ['schema', 'sample'];
+const PAGE_SIZE = 100;
+
+export const resourceLimits = {
+  sampleRows: envInt('RESOURCE_SAMPLE_ROWS', 20),
+};
+
+export function resourceUri(database, schema, table, kind) {
+  return URI_SCHEME + [database, schema, table, kind].map(encodeURIComponent).join('/');
+}
+
+// postgres://<database>/<schema>/<table>/<kind> -> { database, schema, table, kind }
+export function parseResourceUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(URI_SCHEME)) {
+    throw new ResourceNotFoundError(uri);
+  }
+  const parts = uri.slice(URI_SCHEME.length).split('/');
+  if (parts.length !== 4 || !RESOURCE_KINDS.includes(parts[3])) {
+    throw new ResourceNotFoundError(uri);
+  }
+  try {
+    const [database, schema, table, kind] = parts.map(decodeURIComponent);
+    return { database, schema, table, kind };
+  } catch {
+    throw new ResourceNotFoundError(uri);
+  }
+}
+
+export const resourceTemplates = [
+  {
+    uriTemplate: `${URI_SCHEME}{database}/{schema}/{table}/schema`,
+    name: "Table schema",
+    description: "DDL, column documentation, keys and indexes of a table or view",
+    mimeType: "text/markdown",
+  },
+  {
+    uriTemplate: `${URI_SCHEME}{database}/{schema}/{table}/sample`,
+    name: "Table sample",
+    description: `The first ${resourceLimits.sampleRows} rows of a table or view, with column types`,
+    mimeType: "application/json",
+  },
+];
+
+function decodeListCursor(cursor) {
+  if (cursor === undefined) {
+    return 0;
+  }
+  const offset = typeof cursor === 'string' ? Number(Buffer.from(cursor, 'base64url').toString('utf8')) : NaN;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new InvalidParamsError('Invalid resources/list cursor', { argument: 'cursor' });
+  }
+  return offset;
+}
+
+// Every relation of every reachable database that principal may read,
+// PAGE_SIZE tables per page
+export async function listResources({ cursor, principal = null } = {}) {
+  const offset = decodeListCursor(cursor);
+
+  const relations = [];
+  for (const db of listDatabases()) {
+    try {
+      const tables = await withReadOnlyTransaction(db.pool, {}, client => listTables(client));
+      relations.push(...tables
+        .filter(table => relationAllowed(principal, table.schema, table.name))
+        .map(table => ({ database: db.name, ...table })));
+    } catch (error) {
+      log.warn('Skipping resources of unreachable database', { database: db.name, error });
+    }
+  }
+
+  const pageRelations = relations.slice(offset, offset + PAGE_SIZE);
+  const resources = pageRelations.flatMap(({ database, schema, name, type, comment, row_estimate }) => {
+    const title = `${database}: ${schema}.${name}`;
+    const about = [type, row_estimate === null ? null : `~${row_estimate} rows`, comment].filter(Boolean).join(', ');
+    return [
+      {
+        uri: resourceUri(database, schema, name, 'schema'),
+        name: `${title} (schema)`,
+        description: about,
+        mimeType: "text/markdown",
+      },
+      {
+        uri: resourceUri(database, schema, name, 'sample'),
+        name: `${title} (sample rows)`,
+        description: about,
+        mimeType: "application/json",
+      },
+    ];
+  });
+
+  const next = offset + PAGE_SIZE;
+  return {
+    resources,
+    ...(next < relations.length ? { nextCursor: Buffer.from(String(next)).toString('base64url') } : {}),
+  };
+}
+
+// name -> quote_ident(name), computed by the server so keywords are quoted too
+export async function quoteIdentifiers(db, names) {
+  const result = await db.query(
+    'SELECT name, quote_ident(name) AS quoted FROM unnest($1::text[]) AS name',
+    [[...new Set(names.filter(name => name !== null && name !== undefined))]]);
+  return new Map(result.rows.map(row => [row.name, row.quoted]));
+}
+
+function renderDdl(description, viewDefinition, q) {
+  const name = `${q.get(description.schema)}.${q.get(description.table)}`;
+
+  if (viewDefinition !== null) {
+    const keyword = description.type === 'materialized view' ? 'MATERIALIZED VIEW' : 'VIEW';
+    return `CREATE ${keyword} ${name} AS\n${viewDefinition.trim().replace(/;$/, '')};`;
+  }
+
+  const lines = description.columns.map(column =>
+    `    ${q.get(column.name)} ${column.type}` +
+    (column.nullable ? '' : ' NOT NULL') +
+    (column.default !== null ? ` DEFAULT ${column.default}` : ''));
+
+  if (description.primary_key) {
+    const { name: constraint, columns } = description.primary_key;
+    lines.push(`    CONSTRAINT ${q.get(constraint)} PRIMARY KEY (${columns.map(c => q.get(c)).join(', ')})`);
+  }
+  for (const fk of description.foreign_keys) {
+    const target = `${q.get(fk.references.schema)}.${q.get(fk.references.table)}`;
+    lines.push(`    CONSTRAINT ${q.get(fk.name)} FOREIGN KEY (${fk.columns.map(c => q.get(c)).join(', ')})` +
+      ` REFERENCES ${target} (${fk.references.columns.map(c => q.get(c)).join(', ')})` +
+      (fk.on_update !== 'NO ACTION' ? ` ON UPDATE ${fk.on_update}` : '') +
+      (fk.on_delete !== 'NO ACTION' ? ` ON DELETE ${fk.on_delete}` : ''));
+  }
+
+  const keyword = description.type === 'foreign table' ? 'FOREIGN TABLE' : 'TABLE';
+  const statements = [`CREATE ${keyword} ${name} (\n${lines.join(',\n')}\n);`];
+  for (const index of description.indexes) {
+    if (!index.primary) {
+      statements.push(`${index.definition};`);
+    }
+  }
+  return statements.join('\n');
+}
+
+function renderSchemaDocument(database, description, ddl) {
+  const lines = [`# ${description.schema}.${description.table}`, ''];
+  const about = [`${description.type} in database "${database}"`];
+  if (description.row_estimate !== null) {
+    about.push(`about ${description.row_estimate} rows`);
+  }
+  lines.push(about.join(', '), '');
+  if (description.comment) {
+    lines.push(description.comment, '');
+  }
+
+  lines.push('```sql', ddl, '```', '', '## Columns', '');
+  lines.push('| Column | Type | Nullable | Default | Description |', '| --- | --- | --- | --- | --- |');
+  for (const column of description.columns) {
+    lines.push('| ' + [
+      markdownCell(column.name),
+      markdownCell(column.type),
+      column.nullable ? 'yes' : 'no',
+      column.default === null ? '' : markdownCell(column.default),
+      column.comment === null ? '' : markdownCell(column.comment),
+    ].join(' | ') + ' |');
+  }
+
+  if (description.foreign_keys.length > 0) {
+    lines.push('', '## References', '');
+    for (const fk of description.foreign_keys) {
+      lines.push(`- (${fk.columns.join(', ')}) -> ${fk.references.schema}.${fk.references.table} (${fk.references.columns.join(', ')})`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Markdown schema document (DDL plus column docs) of a table or view, null if
+// it does not exist. db is a client inside a read-only transaction.
+export async function schemaDocument(db, database, schema, table) {
+  const description = await describeTable(db, schema, table);
+  if (!description) {
+    return null;
+  }
+
+  let viewDefinition = null;
+  if (description.type === 'view' || description.type === 'materialized view') {
+    const view = await db.query(
+      "SELECT pg_get_viewdef(format('%I.%I', $1::text, $2::text)::regclass, true) AS definition",
+      [schema, table]);
+    viewDefinition = view.rows[0].definition;
+  }
+
+  const q = await quoteIdentifiers(db, [
+    schema,
+    table,
+    ...description.columns.map(column => column.name),
+    description.primary_key?.name,
+    ...(description.primary_key?.columns ?? []),
+    ...description.foreign_keys.flatMap(fk =>
+      [fk.name, ...fk.columns, fk.references.schema, fk.references.table, ...fk.references.columns]),
+  ]);
+
+  return renderSchemaDocument(database, description, renderDdl(description, viewDefinition, q));
+}
+
+async function readSchema(uri, { database, schema, table }) {
+  const { pool } = getDatabase(database);
+  const document = await withReadOnlyTransaction(pool, {}, client => schemaDocument(client, database, schema, table));
+  if (document === null) {
+    throw new ResourceNotFoundError(uri);
+  }
+  return document;
+}
+
+async function readSample(uri, { database, schema, table }, { sessionId, principal }) {
+  const { pool } = getDatabase(database);
+  const relation = await withReadOnlyTransaction(pool, {}, async client => {
+    const result = await client.query(`
+      SELECT quote_ident(n.nspname) || '.' || quote_ident(c.relname) AS name
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = $1 AND c.relname = $2
+         AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+    `, [schema, table]);
+    return result.rows[0]?.name ?? null;
+  });
+  if (!relation) {
+    throw new ResourceNotFoundError(uri);
+  }
+
+  // Same path as a query tool call: classified, then run in the read-only envelope
+  const sql = `SELECT * FROM ${relation} LIMIT ${resourceLimits.sampleRows}`;
+  const { statementType } = await assertReadOnlySql(sql);
+  const page = await executePaged(pool, sql, {
+    statementType,
+    maxRows: resourceLimits.sampleRows,
+    sessionId,
+  });
+  const { rows, masked } = maskRows(page, principal);
+  const [content] = formatResult('json', {
+    columns: page.columns,
+    rows,
+    meta: { rowCount: page.rowCount, ...(masked.length > 0 ? { masked } : {}) },
+  });
+  return content.text;
+}
+
+// resources/read; context is { sessionId, principal } of the caller
+export async function readResource(uri, context = {}) {
+  const parsed = parseResourceUri(uri);
+  if (!listDatabases().some(db => db.name === parsed.database)) {
+    throw new ResourceNotFoundError(uri);
+  }
+  assertRelationAllowed(context.principal, parsed.schema, parsed.table);
+
+  if (parsed.kind === 'schema') {
+    return { contents: [{ uri, mimeType: "text/markdown", text: await readSchema(uri, parsed) }] };
+  }
+  return { contents: [{ uri, mimeType: "application/json", text: await readSample(uri, parsed, context) }] };
+}
@@ -0,0 +1,178 @@
+// In-memory cache of query results
+// Off unless QUERY_CACHE_MAX_BYTES is set. Complete SELECT results (no
+// continuation cursor) are kept for QUERY_CACHE_TTL_MS, or the call's
+// cache_ttl_ms up to QUERY_CACHE_MAX_TTL_MS, keyed by database, the parse tree
+// of the SQL (so whitespace, comments and keyword case do not matter) and the
+// bind parameters. The least recently used results are dropped once the
+// cached rows take more than QUERY_CACHE_MAX_BYTES. The invalidate_cache tool
+// drops results by database or by the tables they read.
+
+import { createHash } from "crypto";
+import { envInt } from "./executor.js";
+import { walkAst } from "./sql_guard.js";
+import { getDatabase, databaseArgument } from "./databases.js";
+import { InvalidParamsError } from "./errors.js";
+
+export const cacheSettings = {
+  maxBytes: envInt('QUERY_CACHE_MAX_BYTES', 0),
+  ttlMs: envInt('QUERY_CACHE_TTL_MS', 60 * 1000),
+  maxTtlMs: envInt('QUERY_CACHE_MAX_TTL_MS', 10 * 60 * 1000),
+};
+
+// key -> { database, relations, columns, sources, rows, bytes, cachedAt, expiresAt }, least recently used first
+const entries = new Map();
+let totalBytes = 0;
+
+export function cacheEnabled() {
+  return cacheSettings.maxBytes > 0;
+}
+
+// Parse tree without token positions: equal for equivalent spellings of a query
+function canonicalTree(ast) {
+  return JSON.stringify(ast, (key, value) => (key === 'location' || key === 'stmt_location' || key === 'stmt_len' ? undefined : value));
+}
+
+export function cacheKey(database, ast, params = []) {
+  return createHash('sha256')
+    .update(JSON.stringify([database, canonicalTree(ast), params]))
+    .digest('hex');
+}
+
+// Tables and views a query reads, as { schema, name } (schema null when unqualified)
+function relationsOf(ast) {
+  const relations = [];
+  walkAst(ast, (type, node) => {
+    if (type === 'RangeVar' && node.relname) {
+      relations.push({ schema: node.schemaname ?? null, name: node.relname });
+    }
+  });
+  return relations;
+}
+
+function remove(key) {
+  const entry = entries.get(key);
+  if (entry) {
+    entries.delete(key);
+    totalBytes -= entry.bytes;
+  }
+}
+
+// TTL of a call: cache_ttl_ms capped by the server maximum, else the default
+export function resolveCacheTtl(value) {
+  if (value === undefined) {
+    return Math.min(cacheSettings.ttlMs, cacheSettings.maxTtlMs);
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    throw new InvalidParamsError('cache_ttl_ms must be a non-negative integer', { argument: 'cache_ttl_ms' });
+  }
+  return Math.min(value, cacheSettings.maxTtlMs);
+}
+
+// The cached page for key holding at most maxRows rows and cached at most
+// maxAgeMs ago, or null
+export function getCachedPage(key, { maxRows, maxAgeMs }) {
+  const entry = entries.get(key);
+  if (!entry) {
+    return null;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    remove(key);
+    return null;
+  }
+  if (entry.rows.length > maxRows || Date.now() - entry.cachedAt > maxAgeMs) {
+    return null;
+  }
+  // Move to the most recently used end
+  entries.delete(key);
+  entries.set(key, entry);
+  return {
+    page: { columns: entry.columns, sources: entry.sources, rows: entry.rows, rowCount: entry.rows.length, truncated: false, nextCursor: null },
+    cachedAt: entry.cachedAt,
+    expiresAt: entry.expiresAt,
+  };
+}
+
+// Stores a complete page; pages with a continuation cursor are not cached
+export function cachePage(key, { database, ast, page, ttlMs }) {
+  if (!cacheEnabled() || ttlMs === 0 || page.truncated || page.nextCursor) {
+    return;
+  }
+  let bytes;
+  try {
+    bytes = Buffer.byteLength(JSON.stringify({ columns: page.columns, rows: page.rows }));
+  } catch {
+    // Values JSON cannot hold (BigInt) are not worth special-casing
+    return;
+  }
+  if (bytes > cacheSettings.maxBytes) {
+    return;
+  }
+  remove(key);
+  const now = Date.now();
+  entries.set(key, {
+    database,
+    relations: relationsOf(ast),
+    columns: page.columns,
+    sources: page.sources,
+    rows: page.rows,
+    bytes,
+    cachedAt: now,
+    expiresAt: now + ttlMs,
+  });
+  totalBytes += bytes;
+  for (const oldest of entries.keys()) {
+    if (totalBytes <= cacheSettings.maxBytes) {
+      break;
+    }
+    remove(oldest);
+  }
+}
+
+export const invalidateCacheTool = {
+  name: "invalidate_cache",
+  description: "Drop cached query results: all of them, those of one database, or those that read a given table",
+  inputSchema: {
+    type: "object",
+    properties: {
+      database: databaseArgument,
+      table: {
+        type: "string",
+        description: "Only results that read this table or view (\"schema.table\", or \"table\" in any schema)"
+      },
+    },
+  },
+};
+
+function parseTableName(table) {
+  const parts = table.split('.');
+  if (parts.length > 2 || parts.some(part => part === '')) {
+    throw new InvalidParamsError('table must be "table" or "schema.table"', { argument: 'table' });
+  }
+  return parts.length === 2 ? { schema: parts[0], name: parts[1] } : { schema: null, name: parts[0] };
+}
+
+// An unqualified name on either side matches any schema
+function readsTable(entry, table) {
+  return entry.relations.some(relation => relation.name === table.name &&
+    (table.schema === null || relation.schema === null || relation.schema === table.schema));
+}
+
+export function callInvalidateCacheTool(args = {}) {
+  const database = args.database !== undefined ? getDatabase(args.database).name : undefined;
+  const table = args.table !== undefined ? parseTableName(args.table) : null;
+
+  let removed = 0;
+  for (const [key, entry] of [...entries.entries()]) {
+    if ((database === undefined || entry.database === database) && (table === null || readsTable(entry, table))) {
+      remove(key);
+      removed++;
+    }
+  }
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({ removed, remaining: entries.size, cached_bytes: totalBytes, enabled: cacheEnabled() }),
+    }],
+    isError: false,
+  };
+}
@@ -0,0 +1,430 @@
+// PostGIS tools: list_layers, features_in_bbox, nearest_features
+// A layer is a geometry or geography column registered in geometry_columns /
+// geography_columns. Boxes and points are given in WGS84 longitude/latitude
+// and transformed into the layer's SRID; features come back in WGS84. Layers
+// without a declared SRID (0) are searched and returned in their own
+// coordinates. PostGIS must be installed and on the search_path.
+// Feature queries go through the same classifier, read-only envelope and
+// result pages as the query tool.
+
+import { withReadOnlyTransaction } from "./executor.js";
+import { executePaged, executeLimited, resolveMaxRows, paginationLimits } from "./cursors.js";
+import { queryToolEnabled } from "./query_tool.js";
+import { assertReadOnlySql } from "./sql_guard.js";
+import { formatResult, RESULT_FORMATS } from "./formats.js";
+import { maskRows } from "./masking.js";
+import { relationAllowed, assertRelationAllowed } from "./access_policy.js";
+import { parseTableName } from "./introspection.js";
+import { getDatabase, databaseArgument } from "./databases.js";
+import { RpcError, InvalidParamsError } from "./errors.js";
+import { log } from "./logger.js";
+
+const DEFAULT_NEAREST = 10;
+
+const layerArguments = {
+  table: {
+    type: "string",
+    description: "Table or view with a geometry/geography column, optionally schema-qualified (schema.table)"
+  },
+  schema: {
+    type: "string",
+    description: "Schema of the table (default: public)"
+  },
+  geometry_column: {
+    type: "string",
+    description: "The geometry or geography column (required only when the table has several)"
+  },
+  columns: {
+    type: "array",
+    items: { type: "string" },
+    description: "Columns to return as feature properties (default: all)"
+  },
+  format: {
+    type: "string",
+    enum: RESULT_FORMATS,
+    description: "Result format (default geojson: a FeatureCollection in WGS84)"
+  },
+  database: databaseArgument,
+  timeout_ms: {
+    type: "integer",
+    description: "Statement timeout in milliseconds for this call (capped by the server maximum)"
+  },
+};
+
+export const spatialTools = [
+  {
+    name: "list_layers",
+    description: "List PostGIS layers (geometry and geography columns from geometry_columns) with geometry type, SRID, row estimate and extent",
+    inputSchema: {
+      type: "object",
+      properties: {
+        database: databaseArgument,
+        schema: {
+          type: "string",
+          description: "Only list layers in this schema"
+        },
+        exact_extent: {
+          type: "boolean",
+          description: "Compute extents with ST_Extent (reads every row) instead of estimating them from table statistics (default false)"
+        },
+      },
+    },
+  },
+  {
+    name: "features_in_bbox",
+    description: "Features of a PostGIS layer that intersect a WGS84 bounding box. " +
+      `Returns at most ${paginationLimits.maxRows} rows; ` +
+      (queryToolEnabled
+        ? 'when truncated, pass next_cursor as cursor to the query tool for the next page.'
+        : 'when truncated, narrow the bounding box to see the rest.'),
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...layerArguments,
+        bbox: {
+          type: "array",
+          items: { type: "number" },
+          minItems: 4,
+          maxItems: 4,
+          description: "[min_lon, min_lat, max_lon, max_lat]"
+        },
+        max_rows: {
+          type: "integer",
+          description: `Maximum features to return in this page (default and cap: ${paginationLimits.maxRows})`
+        },
+      },
+      required: ["table", "bbox"],
+    },
+  },
+  {
+    name: "nearest_features",
+    description: "The features of a PostGIS layer nearest to a WGS84 point, closest first, with their distance in meters",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...layerArguments,
+        lon: {
+          type: "number",
+          description: "Longitude of the point"
+        },
+        lat: {
+          type: "number",
+          description: "Latitude of the point"
+        },
+        count: {
+          type: "integer",
+          description: `Number of features to return (default ${DEFAULT_NEAREST}, cap: ${paginationLimits.maxRows})`
+        },
+        max_distance: {
+          type: "number",
+          description: "Only return features within this distance in meters (in layer units for layers without an SRID)"
+        },
+      },
+      required: ["table", "lon", "lat"],
+    },
+  },
+];
+
+export function isSpatialTool(name) {
+  return spatialTools.some(tool => tool.name === name);
+}
+
+// Layers registered in geometry_columns / geography_columns; null when
+// PostGIS is not installed
+async function findLayers(db, { schema, table } = {}) {
+  const installed = await db.query("SELECT to_regclass('geometry_columns') IS NOT NULL AS installed");
+  if (!installed.rows[0].installed) {
+    return null;
+  }
+  const result = await db.query(`
+    SELECT l.schema_name,
+           l.table_name,
+           l.column_name,
+           l.kind,
+           l.geometry_type,
+           l.srid,
+           l.dimensions,
+           CASE WHEN c.reltuples < 0 THEN NULL ELSE c.reltuples::bigint END AS row_estimate
+      FROM (
+        SELECT f_table_schema::text AS schema_name, f_table_name::text AS table_name,
+               f_geometry_column::text AS column_name, 'geometry' AS kind,
+               type AS geometry_type, srid, coord_dimension AS dimensions
+          FROM geometry_columns
+        UNION ALL
+        SELECT f_table_schema::text, f_table_name::text, f_geography_column::text, 'geography',
+               type, srid, coord_dimension
+          FROM geography_columns
+      ) l
+      JOIN pg_namespace n ON n.nspname = l.schema_name
+      JOIN pg_class c ON c.relnamespace = n.oid AND c.relname = l.table_name
+     WHERE ($1::text IS NULL OR l.schema_name = $1)
+       AND ($2::text IS NULL OR l.table_name = $2)
+     ORDER BY l.schema_name, l.table_name, l.column_name
+  `, [schema ?? null, table ?? null]);
+  return result.rows;
+}
+
+function noPostgis(database) {
+  return new Error(`PostGIS is not installed in database "${database}"`);
+}
+
+// Extent of a layer in its own SRID, and in WGS84 when that differs
+async function layerExtent(db, layer, exact) {
+  const estimated = !exact && layer.kind === 'geometry';
+  const extent = estimated
+    ? await db.query('SELECT ST_EstimatedExtent($1, $2, $3) AS box', [layer.schema_name, layer.table_name, layer.column_name])
+    : await db.query(`SELECT ST_Extent(${layer.quoted_column}::geometry) AS box FROM ${layer.relation}`);
+  if (extent.rows[0].box === null) {
+    return { extent: null, extent_source: estimated ? 'estimated (no statistics, run ANALYZE or use exact_extent)' : 'exact' };
+  }
+
+  const transform = layer.kind === 'geometry' && layer.srid !== 0 && layer.srid !== 4326;
+  const boxes = await db.query(`
+    SELECT ST_XMin(box) AS xmin, ST_YMin(box) AS ymin, ST_XMax(box) AS xmax, ST_YMax(box) AS ymax,
+           ST_XMin(wgs84) AS wxmin, ST_YMin(wgs84) AS wymin, ST_XMax(wgs84) AS wxmax, ST_YMax(wgs84) AS wymax
+      FROM (
+        SELECT box, ${transform ? 'ST_Transform(ST_SetSRID(box::geometry, $2), 4326)' : 'NULL::geometry'} AS wgs84
+          FROM (SELECT $1::box2d AS box) b
+      ) e
+  `, transform ? [extent.rows[0].box, layer.srid] : [extent.rows[0].box]);
+  const row = boxes.rows[0];
+  return {
+    extent: [row.xmin, row.ymin, row.xmax, row.ymax],
+    ...(transform ? { extent_wgs84: [row.wxmin, row.wymin, row.wxmax, row.wymax] } : {}),
+    extent_source: estimated ? 'estimated' : 'exact',
+  };
+}
+
+async function quoteLayer(db, layer) {
+  const result = await db.query(
+    'SELECT quote_ident($1) || \'.\' || quote_ident($2) AS relation, quote_ident($3) AS quoted_column',
+    [layer.schema_name, layer.table_name, layer.column_name]);
+  return { ...layer, ...result.rows[0] };
+}
+
+async function listLayers(db, database, { schema, exactExtent, principal }) {
+  const layers = await findLayers(db, { schema });
+  if (layers === null) {
+    throw noPostgis(database);
+  }
+  const described = [];
+  for (const layer of layers.filter(l => relationAllowed(principal, l.schema_name, l.table_name))) {
+    const quoted = await quoteLayer(db, layer);
+    described.push({
+      table: `${layer.schema_name}.${layer.table_name}`,
+      column: layer.column_name,
+      kind: layer.kind,
+      geometry_type: layer.geometry_type,
+      srid: layer.srid,
+      dimensions: layer.dimensions,
+      row_estimate: layer.row_estimate === null ? null : Number(layer.row_estimate),
+      ...(await layerExtent(db, quoted, exactExtent)),
+    });
+  }
+  return { database, layers: described };
+}
+
+// The layer named by table / geometry_column plus the quoted property columns
+async function resolveLayer(db, database, args, principal) {
+  const parsed = parseTableName(args.table, args.schema || 'public');
+  assertRelationAllowed(principal, parsed.schema, parsed.table);
+  const layers = await findLayers(db, parsed);
+  if (layers === null) {
+    throw noPostgis(database);
+  }
+  const name = `${parsed.schema}.${parsed.table}`;
+  if (layers.length === 0) {
+    throw new InvalidParamsError(`${name} has no geometry or geography column (see list_layers)`, { argument: 'table' });
+  }
+
+  let layer;
+  if (args.geometry_column !== undefined) {
+    layer = layers.find(l => l.column_name === args.geometry_column);
+    if (!layer) {
+      throw new InvalidParamsError(`${args.geometry_column} is not a geometry or geography column of ${name}`,
+        { argument: 'geometry_column' });
+    }
+  } else if (layers.length > 1) {
+    throw new InvalidParamsError(
+      `${name} has several geometry columns (${layers.map(l => l.column_name).join(', ')}), pass geometry_column`,
+      { argument: 'geometry_column' });
+  } else {
+    layer = layers[0];
+  }
+
+  const attributes = await db.query(`
+    SELECT a.attname AS name, quote_ident(a.attname) AS quoted
+      FROM pg_attribute a
+     WHERE a.attrelid = format('%I.%I', $1::text, $2::text)::regclass
+       AND a.attnum > 0
+       AND NOT a.attisdropped
+     ORDER BY a.attnum
+  `, [layer.schema_name, layer.table_name]);
+  const available = attributes.rows.filter(column => column.name !== layer.column_name);
+
+  let properties = available;
+  if (args.columns !== undefined) {
+    properties = args.columns.map(columnName => {
+      const column = available.find(c => c.name === columnName);
+      if (!column) {
+        throw new InvalidParamsError(`${name} has no property column ${columnName}`, { argument: 'columns' });
+      }
+      return column;
+    });
+  }
+
+  return { layer: await quoteLayer(db, layer), properties: properties.map(column => column.quoted) };
+}
+
+// A WGS84 shape expression in the layer's coordinate system
+function inLayerSrs(layer, shape) {
+  if (layer.kind === 'geography') {
+    return `${shape}::geography`;
+  }
+  if (layer.srid === 4326) {
+    return shape;
+  }
+  if (layer.srid === 0) {
+    return `ST_SetSRID(${shape}, ST_SRID(${layer.quoted_column}))`;
+  }
+  return `ST_Transform(${shape}, ${layer.srid})`;
+}
+
+// The layer column as returned: WGS84 unless the layer has no SRID
+function outputGeometry(layer) {
+  if (layer.kind === 'geometry' && layer.srid !== 0 && layer.srid !== 4326) {
+    return `ST_Transform(${layer.quoted_column}, 4326) AS ${layer.quoted_column}`;
+  }
+  return layer.quoted_column;
+}
+
+// Distance from the layer column to a WGS84 point: meters, or layer units
+// for layers without an SRID
+function distanceTo(layer, point) {
+  if (layer.kind === 'geography') {
+    return `ST_Distance(${layer.quoted_column}, ${point}::geography)`;
+  }
+  if (layer.srid === 0) {
+    return `ST_Distance(${layer.quoted_column}, ${inLayerSrs(layer, point)})`;
+  }
+  return `ST_Distance(ST_Transform(${layer.quoted_column}, 4326)::geography, ${point}::geography)`;
+}
+
+function withinDistance(layer, point, distance) {
+  if (layer.kind === 'geography') {
+    return `ST_DWithin(${layer.quoted_column}, ${point}::geography, ${distance})`;
+  }
+  if (layer.srid === 0) {
+    return `ST_DWithin(${layer.quoted_column}, ${inLayerSrs(layer, point)}, ${distance})`;
+  }
+  return `ST_DWithin(ST_Transform(${layer.quoted_column}, 4326)::geography, ${point}::geography, ${distance})`;
+}
+
+// SQL for features_in_bbox / nearest_features. Coordinates are JSON numbers
+// checked by the input schema, so they are written as literals.
+function featureSql(name, layer, properties, args) {
+  const select = [...properties, outputGeometry(layer)];
+
+  if (name === 'features_in_bbox') {
+    const [minLon, minLat, maxLon, maxLat] = args.bbox;
+    if (minLon > maxLon || minLat > maxLat) {
+      throw new InvalidParamsError('bbox must be [min_lon, min_lat, max_lon, max_lat]', { argument: 'bbox' });
+    }
+    const envelope = `ST_MakeEnvelope(${minLon}, ${minLat}, ${maxLon}, ${maxLat}, 4326)`;
+    return `SELECT ${select.join(', ')}\n  FROM ${layer.relation}\n` +
+      ` WHERE ST_Intersects(${layer.quoted_column}, ${inLayerSrs(layer, envelope)})`;
+  }
+
+  if (args.count !== undefined && (!Number.isInteger(args.count) || args.count <= 0)) {
+    throw new InvalidParamsError('count must be a positive integer', { argument: 'count' });
+  }
+  if (args.max_distance !== undefined && args.max_distance < 0) {
+    throw new InvalidParamsError('max_distance must not be negative', { argument: 'max_distance' });
+  }
+  const count = Math.min(args.count ?? DEFAULT_NEAREST, paginationLimits.maxRows);
+  const point = `ST_SetSRID(ST_MakePoint(${args.lon}, ${args.lat}), 4326)`;
+  const distanceColumn = layer.srid === 0 && layer.kind === 'geometry' ? 'distance' : 'distance_m';
+  return `SELECT ${select.join(', ')}, ${distanceTo(layer, point)} AS ${distanceColumn}\n  FROM ${layer.relation}\n` +
+    (args.max_distance !== undefined ? ` WHERE ${withinDistance(layer, point, args.max_distance)}\n` : '') +
+    ` ORDER BY ${layer.quoted_column} <-> ${inLayerSrs(layer, point)}\n LIMIT ${count}`;
+}
+
+async function findFeatures(name, args, { sessionId, principal, audit }) {
+  const format = args.format ?? 'geojson';
+  const maxRows = name === 'features_in_bbox' ? resolveMaxRows(args.max_rows) : paginationLimits.maxRows;
+  const { name: database, pool } = getDatabase(args.database);
+
+  const { layer, properties } = await withReadOnlyTransaction(pool, {}, client => resolveLayer(client, database, args, principal));
+  const sql = featureSql(name, layer, properties, args);
+  audit.sql = sql;
+
+  // Same path as a query tool call: classified, then run in the read-only envelope
+  const { statementType } = await assertReadOnlySql(sql);
+  // next_cursor is only any use to a client that has the query tool to pass it to
+  const execute = queryToolEnabled ? executePaged : executeLimited;
+  const page = await execute(pool, sql, {
+    statementType,
+    maxRows,
+    sessionId,
+    timeouts: { statementTimeoutMs: args.timeout_ms },
+  });
+
+  audit.rowCount = page.rowCount;
+  if (page.sources) {
+    // Through ST_Transform the geometry has no table column of its own
+    const geometryIndex = page.columns.findIndex(column => column.name === layer.column_name);
+    page.sources[geometryIndex] = { schema: layer.schema_name, table: layer.table_name, column: layer.column_name };
+  }
+  const { rows, masked } = maskRows(page, principal);
+  return formatResult(format, {
+    columns: page.columns,
+    rows,
+    geometryColumn: layer.column_name,
+    meta: {
+      layer: `${layer.schema_name}.${layer.table_name}.${layer.column_name}`,
+      rowCount: page.rowCount,
+      truncated: page.truncated,
+      next_cursor: page.nextCursor,
+      ...(masked.length > 0 ? { masked } : {}),
+    },
+  });
+}
+
+// sessionId ties continuation cursors to the MCP session, as for the query
+// tool; the generated SQL, row count and failure are noted on audit
+export async function callSpatialTool(name, args = {}, { sessionId = null, principal = null, audit = {} } = {}) {
+  if (!isSpatialTool(name)) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  try {
+    if (name === 'list_layers') {
+      const { name: database, pool } = getDatabase(args.database);
+      const data = await withReadOnlyTransaction(pool, {}, client =>
+        listLayers(client, database, { schema: args.schema, exactExtent: args.exact_extent === true, principal }));
+      return {
+        content: [{ type: "text", text: JSON.stringify(data, null, 2) }],
+        isError: false,
+      };
+    }
+    return {
+      content: await findFeatures(name, args, { sessionId, principal, audit }),
+      isError: false,
+    };
+  } catch (error) {
+    if (error instanceof RpcError) {
+      throw error;
+    }
+    audit.error = error;
+    log.error('Spatial query failed', { tool: name, error });
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error executing ${name}: ${error instanceof Error ? error.message : 'Unknown error'}`
+        }
+      ],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,194 @@
+// SQL safety classifier
+// Queries are parsed with the real PostgreSQL grammar (libpg-query) and the
+// resulting statement list is checked against a small set of AST rules:
+// exactly one statement, a plain read at the top level, nothing that writes,
+// takes row locks or calls a function with side effects.
+
+import { parse } from "libpg-query";
+import { SqlRejectedError } from "./errors.js";
+
+// Statements allowed at the top level; anything else ending in "Stmt" is denied
+const ALLOWED_STATEMENTS = new Set(['SelectStmt', 'ExplainStmt', 'VariableShowStmt']);
+
+const STATEMENT_NAMES = {
+  InsertStmt: 'INSERT',
+  UpdateStmt: 'UPDATE',
+  DeleteStmt: 'DELETE',
+  MergeStmt: 'MERGE',
+  CopyStmt: 'COPY',
+  TruncateStmt: 'TRUNCATE',
+  CreateStmt: 'CREATE TABLE',
+  CreateTableAsStmt: 'CREATE TABLE AS',
+  DropStmt: 'DROP',
+  AlterTableStmt: 'ALTER TABLE',
+  VariableSetStmt: 'SET',
+  TransactionStmt: 'transaction control',
+  LockStmt: 'LOCK',
+  DoStmt: 'DO',
+  CallStmt: 'CALL',
+  GrantStmt: 'GRANT',
+  VacuumStmt: 'VACUUM/ANALYZE',
+  DeclareCursorStmt: 'DECLARE CURSOR',
+  PrepareStmt: 'PREPARE',
+  ExecuteStmt: 'EXECUTE',
+  NotifyStmt: 'NOTIFY',
+  ListenStmt: 'LISTEN',
+};
+
+// Functions that change server state, touch the filesystem or run arbitrary SQL
+const DENIED_FUNCTIONS = new Set([
+  'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf', 'pg_rotate_logfile',
+  'pg_promote', 'pg_switch_wal', 'pg_create_restore_point', 'pg_backup_start', 'pg_backup_stop',
+  'pg_start_backup', 'pg_stop_backup', 'pg_log_backend_memory_contexts',
+  'pg_read_file', 'pg_read_binary_file', 'pg_stat_file', 'pg_file_write',
+  'pg_file_rename', 'pg_file_unlink', 'pg_logdir_ls',
+  'lo_import', 'lo_export', 'lo_create', 'lo_creat', 'lo_unlink', 'lo_open', 'lo_write',
+  'lowrite', 'lo_put', 'lo_truncate', 'lo_truncate64', 'lo_from_bytea',
+  'set_config', 'nextval', 'setval', 'pg_notify', 'pg_logical_emit_message',
+  'pg_import_system_collations', 'pg_stat_reset', 'pg_stat_reset_shared',
+  'pg_stat_reset_single_table_counters', 'pg_stat_reset_single_function_counters',
+  'query_to_xml', 'query_to_xmlschema', 'query_to_xml_and_xmlschema',
+  'cursor_to_xml', 'cursor_to_xmlschema',
+]);
+
+const LOCKING_CLAUSES = {
+  LCS_FORKEYSHARE: 'FOR KEY SHARE',
+  LCS_FORSHARE: 'FOR SHARE',
+  LCS_FORNOKEYUPDATE: 'FOR NO KEY UPDATE',
+  LCS_FORUPDATE: 'FOR UPDATE',
+};
+
+const DENIED_FUNCTION_PREFIXES = [
+  'dblink', 'pg_advisory_', 'pg_try_advisory_', 'pg_create_', 'pg_drop_',
+  'pg_replication_', 'pg_logical_slot_', 'pg_copy_', 'pg_wal_replay_',
+  // pg_ls_dir, pg_ls_waldir, pg_ls_logdir, pg_ls_tmpdir, ... list server directories
+  'pg_ls_',
+];
+
+function positionOf(body) {
+  return typeof body?.location === 'number' && body.location >= 0 ? body.location + 1 : undefined;
+}
+
+function functionName(funcCall) {
+  const parts = (funcCall.funcname || []).map(part => part.String?.sval);
+  return {
+    schema: parts.length > 1 ? parts[parts.length - 2] : null,
+    name: parts[parts.length - 1],
+  };
+}
+
+export function isDeniedFunction(name, schema = null) {
+  if (schema && schema !== 'pg_catalog') {
+    return false;
+  }
+  return DENIED_FUNCTIONS.has(name) || DENIED_FUNCTION_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+// Calls visit(type, body) for every node in a parse tree; node wrappers are
+// objects with a single capitalised key such as { SelectStmt: {...} }
+export function walkAst(node, visit) {
+  if (Array.isArray(node)) {
+    node.forEach(child => walkAst(child, visit));
+    return;
+  }
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (value && typeof value === 'object') {
+      if (/^[A-Z]/.test(key) && !Array.isArray(value)) {
+        visit(key, value);
+      }
+      walkAst(value, visit);
+    }
+  }
+}
+
+function checkStatement(stmt) {
+  const [type, body] = Object.entries(stmt)[0];
+  if (!ALLOWED_STATEMENTS.has(type)) {
+    throw new SqlRejectedError('statement_not_allowed',
+      `${STATEMENT_NAMES[type] || type} statements are not allowed, only read queries (SELECT, WITH, VALUES, TABLE, EXPLAIN, SHOW)`,
+      { statement: type });
+  }
+
+  walkAst(stmt, (nodeType, node) => {
+    if (nodeType.endsWith('Stmt') && nodeType !== 'SelectStmt' && node !== body) {
+      throw new SqlRejectedError('statement_not_allowed',
+        `${STATEMENT_NAMES[nodeType] || nodeType} is not allowed inside a read query`,
+        { statement: nodeType });
+    }
+    if (nodeType === 'SelectStmt' && node.intoClause) {
+      throw new SqlRejectedError('select_into', 'SELECT ... INTO creates a table and is not allowed',
+        { relation: node.intoClause.rel?.relname, position: positionOf(node.intoClause.rel) });
+    }
+    if (nodeType === 'SelectStmt' && node.lockingClause) {
+      const clause = LOCKING_CLAUSES[node.lockingClause[0]?.LockingClause?.strength] || 'FOR UPDATE/SHARE';
+      throw new SqlRejectedError('locking_clause', `${clause} takes row locks and is not allowed`, { clause });
+    }
+    if (nodeType === 'FuncCall') {
+      const { schema, name } = functionName(node);
+      if (name && isDeniedFunction(name, schema)) {
+        throw new SqlRejectedError('function_not_allowed', `function ${name}() has side effects and is not allowed`,
+          { function: schema ? `${schema}.${name}` : name, position: positionOf(node) });
+      }
+    }
+  });
+
+  return type;
+}
+
+// Parses and classifies a SQL string. Resolves to { allowed: true, statementType, ast }
+// or { allowed: false, error } where error is a SqlRejectedError.
+export async function classifySql(sql) {
+  let ast;
+  try {
+    ast = await parse(sql);
+  } catch (error) {
+    const cursor = error.sqlDetails?.cursorPosition;
+    return {
+      allowed: false,
+      error: new SqlRejectedError('syntax_error', error.message,
+        { position: typeof cursor === 'number' && cursor >= 0 ? cursor + 1 : undefined }),
+    };
+  }
+
+  if (ast.stmts.length === 0) {
+    return { allowed: false, error: new SqlRejectedError('empty', 'the query contains no statement') };
+  }
+  if (ast.stmts.length > 1) {
+    return {
+      allowed: false,
+      error: new SqlRejectedError('multiple_statements',
+        `expected a single statement, got ${ast.stmts.length}`, { statements: ast.stmts.length }),
+    };
+  }
+
+  try {
+    const statementType = checkStatement(ast.stmts[0].stmt);
+    return { allowed: true, statementType, ast };
+  } catch (error) {
+    if (error instanceof SqlRejectedError) {
+      return { allowed: false, error };
+    }
+    throw error;
+  }
+}
+
+// The text of a parsed single statement without a trailing semicolon or
+// comment, so that it can be nested in another query. Earlier locations in
+// the parse tree stay valid.
+export function statementText(sql, ast) {
+  const length = ast.stmts[0]?.stmt_len;
+  // Locations count bytes; a length of 0 means the statement runs to the end
+  return length ? Buffer.from(sql, 'utf8').subarray(0, (ast.stmts[0].stmt_location ?? 0) + length).toString('utf8') : sql;
+}
+
+// Throws a SqlRejectedError unless the SQL is a single read-only statement
+export async function assertReadOnlySql(sql) {
+  const classification = await classifySql(sql);
+  if (!classification.allowed) {
+    throw classification.error;
+  }
+  return classification;
+}
@@ -0,0 +1,191 @@
+// Legacy HTTP+SSE transport (MCP protocol revision 2024-11-05)
+// GET /sse opens an event stream whose first "endpoint" event names the URL
+// to POST messages to (/sse/message?sessionId=...); responses arrive as
+// "message" (or "error") events on the stream. Kept for older clients, new
+// ones should use Streamable HTTP on /mcp.
+
+import { randomBytes } from "crypto";
+import { envInt } from "./executor.js";
+import { closeSessionCursors } from "./cursors.js";
+import { clientInfo } from "./audit.js";
+import { recordError } from "./metrics.js";
+import { log } from "./logger.js";
+import { retryAfterSeconds } from "./quotas.js";
+
+// Sessions end this long after they were opened, whether or not in use
+const sessionTtlMs = envInt('SSE_SESSION_TTL_MS', 30 * 60 * 1000);
+const sessionCleanupIntervalMs = envInt('SSE_SESSION_CLEANUP_INTERVAL_MS', 5 * 60 * 1000);
+
+// id -> { response, principal, created }
+const activeSessions = new Map();
+
+// Generate session ID
+function generateSessionId() {
+  return randomBytes(32).toString('hex');
+}
+
+function endSession(sessionId) {
+  activeSessions.delete(sessionId);
+  closeSessionCursors(sessionId).catch(error => log.error('Error closing session cursors', { session_id: sessionId, error }));
+}
+
+// GET /sse; the caller has already authenticated the request
+export function handleSseConnect(req, res) {
+  const sessionId = generateSessionId();
+
+  // Set SSE headers
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'Cache-Control,Content-Type'
+  });
+
+  // Send initial endpoint event
+  res.write(`event: endpoint\n`);
+  res.write(`data: /sse/message?sessionId=${sessionId}\n\n`);
+
+  // Store session
+  activeSessions.set(sessionId, {
+    response: res,
+    principal: req.principal,
+    created: Date.now()
+  });
+
+  // Handle client disconnect
+  req.on('close', () => {
+    endSession(sessionId);
+    log.info('SSE session disconnected', { session_id: sessionId });
+  });
+
+  req.on('error', (err) => {
+    log.error('SSE session error', { session_id: sessionId, error: err });
+    endSession(sessionId);
+  });
+
+  log.info('SSE session opened', { session_id: sessionId, principal: req.principal.id });
+}
+
+// POST /sse/message?sessionId=...; handlePayload(payload, { sessionId, principal, client })
+// returns the JSON-RPC response (an array for batches), or null when nothing
+// needs a reply
+export function handleSseMessage(req, res, sessionId, handlePayload) {
+  if (!sessionId || !activeSessions.has(sessionId)) {
+    res.writeHead(400, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify({error: 'Invalid session'}));
+    return;
+  }
+
+  // Only the principal that opened the stream may post to it
+  if (activeSessions.get(sessionId).principal.id !== req.principal.id) {
+    res.writeHead(403, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify({error: 'Session belongs to a different principal'}));
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk.toString();
+  });
+
+  req.on('end', async () => {
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+      res.writeHead(400, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify({error: 'Session expired'}));
+      return;
+    }
+
+    let requestData;
+    try {
+      requestData = JSON.parse(body);
+    } catch {
+      recordError('ParseError');
+      res.writeHead(400, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify({jsonrpc: "2.0", id: null, error: {code: -32700, message: 'Parse error'}}));
+      return;
+    }
+
+    const responseData = await handlePayload(requestData, { sessionId, principal: session.principal, client: clientInfo(req) });
+    if (!responseData) {
+      // Notifications get no reply via SSE, only an HTTP acknowledgment
+      res.setHeader('Content-Type', 'application/json');
+      res.writeHead(200);
+      res.end(JSON.stringify({status: 'ok'}));
+      return;
+    }
+
+    const failed = !Array.isArray(responseData) && responseData.error;
+
+    // Send response via SSE only if session is still active
+    if (activeSessions.has(sessionId)) {
+      try {
+        session.response.write(`event: ${failed ? 'error' : 'message'}\n`);
+        session.response.write(`data: ${JSON.stringify(responseData)}\n\n`);
+      } catch (sseError) {
+        log.error('Error writing to SSE', { session_id: sessionId, error: sseError });
+      }
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    if (failed) {
+      const retryAfter = retryAfterSeconds(responseData);
+      if (retryAfter) {
+        res.setHeader('Retry-After', String(retryAfter));
+      }
+      res.writeHead(responseData.error.code === -32603 ? 500 : (retryAfter ? 429 : 400));
+      res.end(JSON.stringify(responseData, null, 2));
+      return;
+    }
+    // Send HTTP response - don't end the connection
+    res.writeHead(200);
+    res.end(JSON.stringify({status: 'sent'}));
+  });
+}
+
+// Sends a JSON-RPC notification as a "message" event on every open stream
+export function notifySseSessions(method, params) {
+  const data = JSON.stringify({ jsonrpc: "2.0", method, ...(params ? { params } : {}) });
+  for (const [sessionId, session] of activeSessions.entries()) {
+    try {
+      session.response.write(`event: message\ndata: ${data}\n\n`);
+    } catch (error) {
+      log.error('Error writing to SSE', { session_id: sessionId, error });
+    }
+  }
+}
+
+export function sseSessionCount() {
+  return activeSessions.size;
+}
+
+// Tell every SSE client the server is going away
+export function closeAllSseSessions() {
+  for (const [sessionId, session] of activeSessions.entries()) {
+    try {
+      session.response.write(`event: close\n`);
+      session.response.write(`data: Server shutting down\n\n`);
+      session.response.end();
+    } catch (error) {
+      log.error('Error closing SSE session during shutdown', { session_id: sessionId, error });
+    }
+  }
+  activeSessions.clear();
+}
+
+// Clean up expired sessions periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [sessionId, session] of activeSessions.entries()) {
+    if (now - session.created > sessionTtlMs) {
+      try {
+        session.response.end();
+      } catch (error) {
+        log.error('Error ending expired SSE session', { session_id: sessionId, error });
+      }
+      endSession(sessionId);
+      log.info('Cleaned up expired SSE session', { session_id: sessionId });
+    }
+  }
+}, sessionCleanupIntervalMs).unref();
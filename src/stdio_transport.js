@@ -0,0 +1,35 @@
+// stdio transport for MCP clients that launch the server as a subprocess
+// (desktop apps, IDEs). The SDK Server from the shared core is connected to
+// StdioServerTransport; stdout carries nothing but JSON-RPC messages, so all
+// logging has to go to stderr. The client owning the pipes is trusted like
+// any local process: HTTP authentication does not apply.
+
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { createSdkServer } from "./mcp_core.js";
+import { log, logToStderr } from "./logger.js";
+
+// Must run before anything logs
+export function routeLogsToStderr() {
+  logToStderr();
+  const toStderr = (...args) => console.error(...args);
+  console.log = toStderr;
+  console.info = toStderr;
+  console.debug = toStderr;
+}
+
+// Connects to stdin/stdout. onClose runs once the client closes stdin.
+export async function startStdioServer({ onClose }) {
+  const server = createSdkServer();
+  const transport = new StdioServerTransport();
+
+  server.onerror = (error) => {
+    log.error('MCP stdio error', { error });
+  };
+  process.stdin.once('end', async () => {
+    await server.close();
+    await onClose();
+  });
+
+  await server.connect(transport);
+  return server;
+}
@@ -0,0 +1,293 @@
+// MCP Streamable HTTP transport (protocol revision 2025-03-26) for /mcp
+//   POST   one JSON-RPC message or a batch. Requests are answered with
+//          application/json or a text/event-stream, whichever the Accept
+//          header allows (JSON when both are); input holding only
+//          notifications or responses gets 202 Accepted.
+//   GET    opens the session's stream for server-initiated messages
+//   DELETE ends the session
+// An initialize request creates a session whose id is returned in the
+// Mcp-Session-Id header; every later request must send it back. Sessions
+// belong to the principal that created them and expire after
+// MCP_SESSION_TTL_MS without requests while no stream is open.
+
+import { randomUUID } from "crypto";
+import { envInt } from "./executor.js";
+import { closeSessionCursors } from "./cursors.js";
+import { clientInfo } from "./audit.js";
+import { recordError } from "./metrics.js";
+import { log } from "./logger.js";
+import { retryAfterSeconds } from "./quotas.js";
+
+export const SESSION_HEADER = 'Mcp-Session-Id';
+
+const sessionTtlMs = envInt('MCP_SESSION_TTL_MS', 30 * 60 * 1000);
+const sessionCleanupIntervalMs = envInt('MCP_SESSION_CLEANUP_INTERVAL_MS', 60 * 1000);
+const KEEPALIVE_INTERVAL_MS = 25 * 1000;
+
+// id -> { id, principal, created, lastSeen, stream }
+const sessions = new Map();
+
+function acceptsType(req, type) {
+  const accept = req.headers['accept'];
+  if (!accept) {
+    return true;
+  }
+  const [major] = type.split('/');
+  return accept.split(',').some(part => {
+    const media = part.split(';')[0].trim().toLowerCase();
+    return media === type || media === '*/*' || media === `${major}/*`;
+  });
+}
+
+function sendJson(res, status, body) {
+  res.setHeader('Content-Type', 'application/json');
+  res.writeHead(status);
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: "2.0", id: null, error: { code, message } });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// Notifications and responses to server requests never get a reply
+function isRequest(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return true;
+  }
+  if ('method' in message) {
+    return 'id' in message;
+  }
+  return !('result' in message || 'error' in message);
+}
+
+function isResponse(message) {
+  return message && typeof message === 'object' && !('method' in message) &&
+    ('result' in message || 'error' in message);
+}
+
+function terminateSession(session) {
+  sessions.delete(session.id);
+  if (session.stream) {
+    session.stream.end();
+    session.stream = null;
+  }
+  closeSessionCursors(session.id).catch(error => log.error('Error closing session cursors', { session_id: session.id, error }));
+}
+
+// Looks up the session named by the request header. On failure an error is
+// sent and null is returned.
+function resolveSession(req, res) {
+  const sessionId = req.headers[SESSION_HEADER.toLowerCase()];
+  if (!sessionId) {
+    sendError(res, 400, -32600, `Missing ${SESSION_HEADER} header`);
+    return null;
+  }
+  const session = sessions.get(sessionId);
+  if (!session) {
+    sendError(res, 404, -32600, 'Session not found');
+    return null;
+  }
+  // Only the principal that initialized the session may use it
+  if (session.principal.id !== req.principal.id) {
+    sendError(res, 403, -32600, 'Session belongs to a different principal');
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+async function handlePost(req, res, handleMessage) {
+  const acceptsJson = acceptsType(req, 'application/json');
+  const acceptsStream = acceptsType(req, 'text/event-stream');
+  if (!acceptsJson && !acceptsStream) {
+    sendError(res, 406, -32600, 'Accept must include application/json or text/event-stream');
+    return;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch {
+    recordError('ParseError');
+    sendError(res, 400, -32700, 'Parse error');
+    return;
+  }
+
+  const batch = Array.isArray(payload);
+  if (batch && payload.length === 0) {
+    sendError(res, 400, -32600, 'Invalid Request: empty batch');
+    return;
+  }
+  const messages = batch ? payload : [payload];
+  const initialize = messages.some(message => message?.method === 'initialize');
+
+  let session;
+  if (initialize) {
+    if (messages.length > 1) {
+      sendError(res, 400, -32600, 'initialize must not be part of a batch');
+      return;
+    }
+    session = { id: randomUUID(), principal: req.principal, created: Date.now(), lastSeen: Date.now(), stream: null };
+    sessions.set(session.id, session);
+    res.setHeader(SESSION_HEADER, session.id);
+  } else {
+    session = resolveSession(req, res);
+    if (!session) {
+      return;
+    }
+  }
+
+  const context = { sessionId: session.id, principal: req.principal, client: clientInfo(req) };
+  const incoming = messages.filter(message => !isResponse(message));
+
+  if (!messages.some(isRequest)) {
+    for (const message of incoming) {
+      await handleMessage(message, context);
+    }
+    res.writeHead(202);
+    res.end();
+    return;
+  }
+
+  const streaming = acceptsStream && !acceptsJson;
+  if (streaming) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+  }
+
+  const responses = [];
+  let initialized = false;
+  for (const message of incoming) {
+    const response = await handleMessage(message, context);
+    if (!response) {
+      continue;
+    }
+    initialized = initialized || (initialize && 'result' in response);
+    if (streaming) {
+      res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+    } else {
+      responses.push(response);
+    }
+  }
+
+  if (initialize && !initialized) {
+    sessions.delete(session.id);
+  }
+
+  if (streaming) {
+    res.end();
+  } else {
+    const retryAfter = batch ? null : retryAfterSeconds(responses[0]);
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+    }
+    sendJson(res, 200, batch ? responses : responses[0]);
+  }
+}
+
+function handleGet(req, res) {
+  if (!acceptsType(req, 'text/event-stream')) {
+    sendError(res, 406, -32600, 'Accept must include text/event-stream');
+    return;
+  }
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  if (session.stream) {
+    sendError(res, 409, -32600, 'Session already has an open stream');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    [SESSION_HEADER]: session.id,
+  });
+  res.write(': stream open\n\n');
+  session.stream = res;
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    if (session.stream === res) {
+      session.stream = null;
+      session.lastSeen = Date.now();
+    }
+  });
+}
+
+function handleDelete(req, res) {
+  const session = resolveSession(req, res);
+  if (!session) {
+    return;
+  }
+  terminateSession(session);
+  log.info('Session terminated by client', { session_id: session.id });
+  res.writeHead(204);
+  res.end();
+}
+
+// Serves one request to /mcp. handleMessage(message, { sessionId, principal, client })
+// returns the JSON-RPC response for a message, or null for notifications.
+// The caller has already authenticated the request (req.principal).
+export async function handleStreamableHttp(req, res, handleMessage) {
+  switch (req.method) {
+    case 'POST':
+      return handlePost(req, res, handleMessage);
+    case 'GET':
+      return handleGet(req, res);
+    case 'DELETE':
+      return handleDelete(req, res);
+    default:
+      res.setHeader('Allow', 'GET, POST, DELETE');
+      sendError(res, 405, -32600, `Method ${req.method} not allowed`);
+  }
+}
+
+// Sends a JSON-RPC notification down every open GET stream
+export function notifySessions(method, params) {
+  const data = JSON.stringify({ jsonrpc: "2.0", method, ...(params ? { params } : {}) });
+  for (const session of sessions.values()) {
+    if (session.stream) {
+      session.stream.write(`event: message\ndata: ${data}\n\n`);
+    }
+  }
+}
+
+export function activeSessionCount() {
+  return sessions.size;
+}
+
+export function closeAllSessions() {
+  for (const session of [...sessions.values()]) {
+    terminateSession(session);
+  }
+}
+
+// Drop sessions whose client went away without DELETE
+setInterval(() => {
+  const now = Date.now();
+  for (const session of [...sessions.values()]) {
+    if (!session.stream && now - session.lastSeen > sessionTtlMs) {
+      terminateSession(session);
+      log.info('Cleaned up expired session', { session_id: session.id });
+    }
+  }
+}, sessionCleanupIntervalMs).unref();
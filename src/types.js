@@ -0,0 +1,101 @@
+// Postgres type names and value normalisation for query results
+// Results are parsed with a few overrides so every output format sees the same
+// values: date/time types keep the server's exact text (JS Dates drop
+// microseconds and shift plain dates into the local time zone), int8 and
+// numeric stay strings, bytea becomes "\x..." hex, PostGIS geometry and
+// geography become GeoJSON geometries.
+
+import * as pg from "pg";
+import { SPATIAL_TYPES, decodeGeometry } from "./geometry.js";
+
+const STRING_ARRAY_OID = 1009;
+
+// date, time, timestamp, timestamptz, interval, timetz
+const RAW_TEXT_TYPES = new Set([1082, 1083, 1114, 1184, 1186, 1266]);
+// and their array types
+const RAW_TEXT_ARRAY_TYPES = new Set([1182, 1183, 1115, 1185, 1187, 1270]);
+
+// Pass as the `types` option of client.query for user queries
+export const resultTypes = {
+  getTypeParser(oid, format) {
+    if (RAW_TEXT_TYPES.has(oid)) {
+      return String;
+    }
+    if (RAW_TEXT_ARRAY_TYPES.has(oid)) {
+      return pg.types.getTypeParser(STRING_ARRAY_OID, format);
+    }
+    return pg.types.getTypeParser(oid, format);
+  },
+};
+
+// A value that is already in its JSON-safe form, such as the output of a
+// mask; normalizeValue unwraps it instead of converting it again (a hash of
+// a geometry column would otherwise be decoded as hex EWKB)
+export class NormalizedValue {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+// Converts a parsed value into its JSON-safe form; type is the column's
+// type name from describeColumns
+export function normalizeValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof NormalizedValue) {
+    return value.value;
+  }
+  if (SPATIAL_TYPES.has(type)) {
+    return decodeGeometry(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return '\\x' + value.toString('hex');
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => normalizeValue(item));
+  }
+  return value;
+}
+
+// Type names are stable for built-in types but extension types (PostGIS,
+// hstore, ...) get a different OID in every database, so the cache is per pool
+const typeNameCache = new WeakMap();
+
+// Resolves the Postgres type name (e.g. "int8", "text[]") of each result field.
+// db is the client to run the lookup on, so a caller already holding a
+// connection does not need a second one from the pool.
+export async function resolveTypeNames(pool, fields = [], db = pool) {
+  if (!typeNameCache.has(pool)) {
+    typeNameCache.set(pool, new Map());
+  }
+  const cache = typeNameCache.get(pool);
+
+  const missing = [...new Set(fields.map(f => f.dataTypeID))].filter(oid => !cache.has(oid));
+  if (missing.length > 0) {
+    const result = await db.query(`
+      SELECT t.oid::int AS oid,
+             CASE WHEN e.oid IS NOT NULL AND t.typcategory = 'A' THEN e.typname || '[]' ELSE t.typname END AS name
+        FROM pg_type t
+        LEFT JOIN pg_type e ON e.oid = t.typelem
+       WHERE t.oid = ANY($1::oid[])
+    `, [missing]);
+    for (const row of result.rows) {
+      cache.set(row.oid, row.name);
+    }
+  }
+
+  return fields.map(f => cache.get(f.dataTypeID) ?? String(f.dataTypeID));
+}
+
+// [{ name, type }] header for a result
+export async function describeColumns(pool, fields = [], db = pool) {
+  const typeNames = await resolveTypeNames(pool, fields, db);
+  return fields.map((f, i) => ({ name: f.name, type: typeNames[i] }));
+}
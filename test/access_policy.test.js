@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { parse } from "libpg-query";
+
+// The policy is read when access_policy.js loads, so it is written first
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-policy-test-'));
+process.env.ACCESS_POLICY_FILE = path.join(dir, 'access.json');
+fs.writeFileSync(process.env.ACCESS_POLICY_FILE, JSON.stringify({
+  rules: [
+    { access: 'deny', relations: ['pg_catalog.*', 'information_schema.*'], exempt_roles: ['admin'] },
+    { access: 'deny', relations: ['app.secrets'], exempt_principals: ['root'] },
+    { access: 'deny', functions: ['pg_catalog.pg_read_*', '*.dblink*'] },
+    { access: 'allow', relations: ['app.*', 'public.places'], roles: ['analyst'] },
+  ],
+}));
+const { accessPolicyEnabled, relationAllowed, schemaVisible, assertRelationAllowed, assertSqlAllowed } =
+  await import("../src/access_policy.js");
+fs.rmSync(dir, { recursive: true });
+
+const analyst = { id: 'alice', roles: ['analyst'] };
+const admin = { id: 'root', roles: ['admin'] };
+const nobody = { id: 'bob', roles: [] };
+
+test('a policy file enables access checks', () => {
+  assert.equal(accessPolicyEnabled(), true);
+});
+
+test('deny rules win over allow rules', () => {
+  assert.equal(relationAllowed(analyst, 'app', 'users'), true);
+  assert.equal(relationAllowed(analyst, 'app', 'secrets'), false);
+  assert.equal(relationAllowed(analyst, 'pg_catalog', 'pg_class'), false);
+});
+
+test('allow rules restrict only the callers they cover', () => {
+  assert.equal(relationAllowed(analyst, 'public', 'places'), true);
+  assert.equal(relationAllowed(analyst, 'public', 'parcels'), false);
+  // No allow rule covers bob, so only the deny rules apply
+  assert.equal(relationAllowed(nobody, 'public', 'parcels'), true);
+  assert.equal(relationAllowed(nobody, 'information_schema', 'tables'), false);
+});
+
+test('exempt callers skip a deny rule', () => {
+  assert.equal(relationAllowed(admin, 'pg_catalog', 'pg_class'), true);
+  assert.equal(relationAllowed(admin, 'app', 'secrets'), true);
+});
+
+test('schemas are visible when some relation in them could be allowed', () => {
+  assert.equal(schemaVisible(analyst, 'app'), true);
+  assert.equal(schemaVisible(analyst, 'public'), true);
+  assert.equal(schemaVisible(analyst, 'staging'), false);
+  assert.equal(schemaVisible(analyst, 'pg_catalog'), false);
+  assert.equal(schemaVisible(admin, 'pg_catalog'), true);
+});
+
+test('a refused relation is a -32003 error naming it', () => {
+  assert.throws(() => assertRelationAllowed(analyst, 'app', 'secrets'), error => {
+    assert.equal(error.code, -32003);
+    assert.equal(error.message, 'Access to relation app.secrets is not allowed');
+    assert.equal(error.data.kind, 'relation');
+    return true;
+  });
+});
+
+// Qualified names need no database to resolve them, so no pool is passed
+test('statements are checked against every relation and function they name', async () => {
+  const check = async (sql, principal) => assertSqlAllowed(null, await parse(sql), principal);
+  await check('SELECT * FROM app.users u JOIN public.places p ON p.id = u.id', analyst);
+  await check('WITH recent AS (SELECT * FROM app.orders) SELECT * FROM recent', analyst);
+  await assert.rejects(check('SELECT * FROM app.users WHERE id IN (SELECT id FROM app.secrets)', analyst),
+    /Access to relation app\.secrets is not allowed/);
+  await assert.rejects(check("SELECT pg_catalog.pg_read_file('x')", admin),
+    /Access to function pg_catalog\.pg_read_file is not allowed/);
+  await assert.rejects(check("SELECT * FROM ext.dblink_exec('x')", nobody),
+    /Access to function ext\.dblink_exec is not allowed/);
+});
+
+// A pool whose search_path puts every unqualified relation in app
+function appSchemaPool() {
+  const client = {
+    query: async (sql, params) => ({
+      rows: params ? params[0].map(name => ({ kind: 'relations', name, schema: 'app' })) : [],
+    }),
+    release() {},
+  };
+  return { connect: async () => client };
+}
+
+test('a CTE hides a table only within the statement that defines it', async () => {
+  const check = async sql => assertSqlAllowed(appSchemaPool(), await parse(sql), analyst);
+  await check('WITH secrets AS (SELECT 1) SELECT * FROM secrets');
+  await check('WITH secrets AS (SELECT 1) SELECT * FROM app.users WHERE id IN (SELECT * FROM secrets)');
+  await assert.rejects(check('SELECT * FROM secrets'), /app\.secrets is not allowed/);
+  await assert.rejects(check('SELECT * FROM secrets, (WITH secrets AS (SELECT 1) SELECT * FROM secrets) s'),
+    /app\.secrets is not allowed/);
+  // Without RECURSIVE a CTE does not see itself or the ones after it
+  await assert.rejects(check('WITH a AS (SELECT * FROM secrets), secrets AS (SELECT 1) SELECT * FROM a'),
+    /app\.secrets is not allowed/);
+  await check('WITH RECURSIVE a AS (SELECT * FROM secrets), secrets AS (SELECT 1) SELECT * FROM a');
+});
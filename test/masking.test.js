@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createHash } from "crypto";
+
+// The policy is read when masking.js loads, so it is written first
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'masking-test-'));
+process.env.MASKING_POLICY_FILE = path.join(dir, 'masking.json');
+delete process.env.MASKING_HASH_KEY;
+fs.writeFileSync(process.env.MASKING_POLICY_FILE, JSON.stringify({
+  rules: [
+    { columns: ['app.users.email'], mask: 'hash', exempt_roles: ['admin'] },
+    { columns: ['app.users.name'], mask: 'truncate', length: 2, roles: ['analyst'], exempt_principals: ['carol'] },
+    { columns: ['app.users.name'], mask: 'redact' },
+    { columns: ['*.*.phone*'], mask: 'redact', replacement: null },
+    { columns: ['app.places.*'], mask: 'geometry_precision', decimals: 1 },
+    // Hex EWKB of POINT(1 2): a masked value that looks like a geometry
+    { columns: ['app.parcels.geom'], mask: 'redact', replacement: '0101000000000000000000F03F0000000000000040' },
+  ],
+}));
+const { maskRows, maskingEnabled } = await import("../src/masking.js");
+const { normalizeValue } = await import("../src/types.js");
+const { formatResult } = await import("../src/formats.js");
+fs.rmSync(dir, { recursive: true });
+
+const analyst = { id: 'alice', roles: ['analyst'] };
+const admin = { id: 'root', roles: ['admin'] };
+
+function page(sources, types, rows) {
+  return {
+    columns: sources.map((source, i) => ({ name: source?.column ?? `c${i}`, type: types[i] })),
+    sources,
+    rows,
+  };
+}
+
+// maskRows with its cells in their output form
+function masked(page, principal) {
+  const result = maskRows(page, principal);
+  return { ...result, rows: result.rows.map(row => row.map((value, i) => normalizeValue(value, page.columns[i].type))) };
+}
+
+const users = page(
+  [{ schema: 'app', table: 'users', column: 'email' }, { schema: 'app', table: 'users', column: 'name' }, null],
+  ['text', 'text', 'text'],
+  [['u1@x.com', 'User 1', 'u1@x.com'], [null, 'User 2', 'x']],
+);
+
+test('a policy file enables masking', () => {
+  assert.equal(maskingEnabled(), true);
+});
+
+test('the first rule that applies to the caller wins', () => {
+  const hash = createHash('sha256').update('u1@x.com').digest('hex');
+  assert.deepEqual(masked(users, analyst), {
+    rows: [[hash, 'Us', 'u1@x.com'], [null, 'Us', 'x']],
+    masked: ['email', 'name'],
+  });
+  // Not an analyst: the truncate rule is skipped and the redact rule applies
+  assert.deepEqual(masked(users, { id: 'bob', roles: [] }).rows[0], [hash, '[REDACTED]', 'u1@x.com']);
+});
+
+test('exempt roles and principals skip a rule', () => {
+  assert.deepEqual(masked(users, admin).rows[0], ['u1@x.com', '[REDACTED]', 'u1@x.com']);
+  // carol is exempt from truncate, so the next matching rule redacts
+  assert.deepEqual(masked(users, { id: 'carol', roles: ['analyst'] }).rows[0][1], '[REDACTED]');
+});
+
+test('computed columns and unmatched columns are left alone', () => {
+  const other = page([{ schema: 'app', table: 'orders', column: 'email' }, null], ['text', 'text'], [['a', 'b']]);
+  assert.deepEqual(masked(other, analyst), { rows: [['a', 'b']], masked: [] });
+  assert.deepEqual(masked({ ...users, sources: null }, analyst).rows, users.rows);
+});
+
+test('column patterns match with *', () => {
+  const contacts = page([{ schema: 'crm', table: 'contacts', column: 'phone_mobile' }], ['text'], [['+1 555']]);
+  assert.deepEqual(masked(contacts, analyst), { rows: [[null]], masked: ['phone_mobile'] });
+});
+
+test('geometry_precision rounds only spatial columns', () => {
+  const places = page(
+    [{ schema: 'app', table: 'places', column: 'geom' }, { schema: 'app', table: 'places', column: 'label' }],
+    ['geometry', 'text'],
+    [[{ type: 'LineString', coordinates: [[13.444, 52.561], [13.45, 52.5]] }, 'Berlin']],
+  );
+  assert.deepEqual(masked(places, analyst), {
+    rows: [[{ type: 'LineString', coordinates: [[13.4, 52.6], [13.5, 52.5]] }, 'Berlin']],
+    masked: ['geom'],
+  });
+});
+
+test('masked values are not converted again when formatted', () => {
+  const parcels = page([{ schema: 'app', table: 'parcels', column: 'geom' }], ['geometry'],
+    [['0101000020E6100000000000000000244000000000000034C0']]);
+  const { rows } = maskRows(parcels, analyst);
+  const [content] = formatResult('json', { columns: parcels.columns, rows, meta: {} });
+  assert.deepEqual(JSON.parse(content.text).rows, [['0101000000000000000000F03F0000000000000040']]);
+});
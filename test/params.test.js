@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parse } from "libpg-query";
+import { bindParams } from "../src/params.js";
+
+async function bind(sql, params, paramTypes) {
+  return bindParams(sql, await parse(sql), params, paramTypes);
+}
+
+async function bindError(sql, params, paramTypes) {
+  try {
+    await bind(sql, params, paramTypes);
+  } catch (error) {
+    assert.equal(error.code, -32602);
+    return error;
+  }
+  assert.fail(`expected ${sql} to be refused`);
+}
+
+test('hinted placeholders are cast to their type', async () => {
+  const bound = await bind('SELECT * FROM app.places WHERE id = $1 AND ST_Intersects(geom, $2)',
+    [7, 'SRID=4326;POINT(13.4 52.5)'], [null, 'geometry']);
+  assert.equal(bound.sql, 'SELECT * FROM app.places WHERE id = $1 AND ST_Intersects(geom, ($2::geometry))');
+  assert.deepEqual(bound.values, [7, 'SRID=4326;POINT(13.4 52.5)']);
+});
+
+test('every use of a placeholder is cast, keeping its spelling', async () => {
+  const bound = await bind('SELECT $01 AS "é", $1 + $2', ['5', 2], ['int8', 'int4']);
+  assert.equal(bound.sql, 'SELECT ($01::int8) AS "é", ($1::int8) + ($2::int4)');
+});
+
+test('placeholders after multibyte text are cast at the right offset', async () => {
+  const bound = await bind("SELECT 'ünïcødé' = $1", ['x'], ['text']);
+  assert.equal(bound.sql, "SELECT 'ünïcødé' = ($1::text)");
+});
+
+test('without hints the SQL is left alone', async () => {
+  const sql = 'SELECT $1, $2';
+  assert.deepEqual(await bind(sql, ['a', 1]), { sql, values: ['a', 1] });
+});
+
+test('json values are sent as JSON text and array hints check each element', async () => {
+  const bound = await bind('SELECT $1, $2', [{ a: [1, 2] }, ['1', 2, null]], ['jsonb', 'int8[]']);
+  assert.equal(bound.sql, 'SELECT ($1::jsonb), ($2::int8[])');
+  assert.deepEqual(bound.values, ['{"a":[1,2]}', ['1', 2, null]]);
+});
+
+test('values that do not match their hint name the parameter', async () => {
+  let error = await bindError('SELECT $1, $2', [1, 'abc'], [null, 'int4']);
+  assert.match(error.message, /^params\[1\] \(\$2\) is not a valid int4/);
+  assert.deepEqual(error.data, { argument: 'params', index: 1, placeholder: '$2' });
+
+  error = await bindError('SELECT $1', [2 ** 31], ['int4']);
+  assert.match(error.message, /out of range for int4/);
+  error = await bindError('SELECT $1', ['POINT 1 2'], ['geometry']);
+  assert.match(error.message, /expected WKT or EWKT/);
+  error = await bindError('SELECT $1', [[1, 'x']], ['int4[]']);
+  assert.match(error.message, /\(element 1\)/);
+  error = await bindError('SELECT $1', [{ a: 1 }]);
+  assert.match(error.message, /give it the json or jsonb type/);
+});
+
+test('params must match the placeholders the statement uses', async () => {
+  let error = await bindError('SELECT $1, $3', [1, 2]);
+  assert.match(error.message, /uses \$3 but only 2 params were given/);
+  error = await bindError('SELECT $1, $3', [1, 2, 3]);
+  assert.match(error.message, /^params\[1\] \(\$2\) is not used by the query/);
+  error = await bindError('SELECT 1', [1]);
+  assert.match(error.message, /is not used by the query/);
+});
+
+test('unknown or surplus type hints are refused', async () => {
+  let error = await bindError('SELECT $1', [1], ['integer']);
+  assert.match(error.message, /^param_types\[0\] \(\$1\): unknown type "integer"/);
+  error = await bindError('SELECT $1', [1], ['int4', 'int4']);
+  assert.match(error.message, /no longer than params/);
+  error = await bindError('SELECT 1', 'x');
+  assert.match(error.message, /params must be an array/);
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifySql, assertReadOnlySql, isDeniedFunction, statementText } from "../src/sql_guard.js";
+
+async function reason(sql) {
+  const result = await classifySql(sql);
+  assert.equal(result.allowed, false, `expected ${sql} to be rejected`);
+  return result.error.reason;
+}
+
+test('read statements are allowed', async () => {
+  const statements = {
+    'SELECT 1': 'SelectStmt',
+    'select id, email from app.users where id = $1 order by id': 'SelectStmt',
+    'WITH recent AS (SELECT * FROM app.orders) SELECT count(*) FROM recent': 'SelectStmt',
+    'VALUES (1, 2), (3, 4)': 'SelectStmt',
+    'TABLE app.users': 'SelectStmt',
+    'EXPLAIN SELECT * FROM app.users': 'ExplainStmt',
+    'SHOW statement_timeout': 'VariableShowStmt',
+    'SELECT 1;': 'SelectStmt',
+  };
+  for (const [sql, statementType] of Object.entries(statements)) {
+    const result = await classifySql(sql);
+    assert.equal(result.allowed, true, sql);
+    assert.equal(result.statementType, statementType, sql);
+  }
+});
+
+test('writes, DDL and session changes are rejected', async () => {
+  for (const sql of [
+    'INSERT INTO app.users (id) VALUES (1)',
+    'UPDATE app.users SET email = NULL',
+    'DELETE FROM app.users',
+    'DROP TABLE app.users',
+    'CREATE TABLE t (id int)',
+    "SET statement_timeout = '1h'",
+    'BEGIN',
+    "COPY app.users TO '/tmp/users'",
+    "DO $$ BEGIN END $$",
+  ]) {
+    assert.equal(await reason(sql), 'statement_not_allowed', sql);
+  }
+});
+
+test('hidden writes, locks and multiple statements are rejected', async () => {
+  assert.equal(await reason('WITH gone AS (DELETE FROM app.users RETURNING *) SELECT * FROM gone'), 'statement_not_allowed');
+  assert.equal(await reason('SELECT * INTO copy FROM app.users'), 'select_into');
+  assert.equal(await reason('SELECT * FROM app.users FOR UPDATE'), 'locking_clause');
+  assert.equal(await reason('SELECT 1; SELECT 2'), 'multiple_statements');
+  assert.equal(await reason('-- nothing'), 'empty');
+  assert.equal(await reason('SELEC 1'), 'syntax_error');
+});
+
+test('functions with side effects are rejected', async () => {
+  for (const sql of [
+    'SELECT pg_terminate_backend(1)',
+    "SELECT pg_catalog.pg_read_file('/etc/passwd')",
+    "SELECT set_config('search_path', 'x', false)",
+    "SELECT nextval('app.users_id_seq')",
+    "SELECT * FROM dblink('host=x', 'SELECT 1') AS t(x int)",
+    'SELECT pg_advisory_lock(1)',
+    "SELECT * FROM pg_ls_dir('.')",
+    'SELECT * FROM pg_catalog.pg_ls_waldir()',
+    'SELECT * FROM pg_ls_logdir()',
+    'SELECT * FROM pg_ls_tmpdir()',
+    'SELECT * FROM pg_ls_archive_statusdir()',
+    "SELECT query_to_xml('DELETE FROM app.users', true, true, '')",
+    'SELECT (SELECT lo_import(\'/etc/passwd\'))',
+  ]) {
+    assert.equal(await reason(sql), 'function_not_allowed', sql);
+  }
+});
+
+test('functions outside pg_catalog are not taken for built-ins', () => {
+  assert.equal(isDeniedFunction('pg_ls_dir'), true);
+  assert.equal(isDeniedFunction('pg_ls_dir', 'pg_catalog'), true);
+  assert.equal(isDeniedFunction('pg_ls_dir', 'app'), false);
+  assert.equal(isDeniedFunction('lower'), false);
+});
+
+test('assertReadOnlySql throws the rejection as a -32602 error', async () => {
+  await assert.rejects(assertReadOnlySql('DELETE FROM app.users'), error => {
+    assert.equal(error.code, -32602);
+    assert.equal(error.data.reason, 'statement_not_allowed');
+    return true;
+  });
+  const { ast } = await assertReadOnlySql('SELECT 1');
+  assert.equal(ast.stmts.length, 1);
+});
+
+test('statementText drops a trailing semicolon and comment', async () => {
+  const sql = 'SELECT $1::text AS é; -- trailing';
+  const { ast } = await assertReadOnlySql(sql);
+  assert.equal(statementText(sql, ast), 'SELECT $1::text AS é');
+  const plain = 'SELECT 1';
+  assert.equal(statementText(plain, (await assertReadOnlySql(plain)).ast), plain);
+});